@@ -28,6 +28,14 @@
             "mejs.fullscreen-on": "Go Fullscreen",
             "mejs.download-video": "Download Video",
 
+            // mep-feature-descriptions
+            "mejs.audio-description": "Audio Description",
+
+            // mep-feature-endedhtml
+            "mejs.replay": "Replay",
+            "mejs.cancel": "Cancel",
+            "mejs.up-next": ["Up next in 1 second", "Up next in %1 seconds"],
+
             // mep-feature-fullscreen
             "mejs.fullscreen": "Fullscreen",
 
@@ -38,6 +46,21 @@
             "mejs.play": "Play",
             "mejs.pause": "Pause",
 
+            // mep-feature-loop
+            "mejs.loop-off": "Repeat: off",
+            "mejs.loop-one": "Repeat: one",
+            "mejs.loop-all": "Repeat: all",
+            "mejs.shuffle": "Shuffle",
+            "mejs.abloop-set-a": "Set loop start (A)",
+            "mejs.abloop-set-b": "Set loop end (B)",
+            "mejs.abloop-clear": "Clear A-B loop",
+
+            // mep-feature-playlist
+            "mejs.playlist": "Playlist",
+            "mejs.playlist-item": ["Item 1", "Item %1"],
+            "mejs.previous": "Previous",
+            "mejs.next": "Next",
+
             // mep-feature-postroll
             "mejs.close": "Close",
 
@@ -51,6 +74,56 @@
             // mep-feature-tracks
             "mejs.captions-subtitles": "Captions/Subtitles",
             "mejs.none": "None",
+            "mejs.captions-secondary": "Second language",
+            "mejs.captions-download": "Download",
+            "mejs.captions-offset": "Delay",
+            "mejs.captions-offset-earlier": "Show captions earlier",
+            "mejs.captions-offset-later": "Show captions later",
+            "mejs.captions-offset-reset": "Reset the delay",
+            "mejs.chapters": "Chapters",
+            "mejs.slides": "Slides",
+            "mejs.caption-settings": "Caption settings",
+            "mejs.caption-preview": "Captions look like this",
+            "mejs.caption-reset": "Reset",
+            "mejs.caption-default": "Default",
+            "mejs.caption-font": "Font",
+            "mejs.caption-size": "Text size",
+            "mejs.caption-color": "Text color",
+            "mejs.caption-opacity": "Text opacity",
+            "mejs.caption-background": "Background color",
+            "mejs.caption-background-opacity": "Background opacity",
+            "mejs.caption-window": "Window color",
+            "mejs.caption-window-opacity": "Window opacity",
+            "mejs.caption-edge": "Character edges",
+            "mejs.caption-proportional-sans-serif": "Sans serif",
+            "mejs.caption-monospace-sans-serif": "Monospace sans serif",
+            "mejs.caption-proportional-serif": "Serif",
+            "mejs.caption-monospace-serif": "Monospace serif",
+            "mejs.caption-casual": "Casual",
+            "mejs.caption-script": "Script",
+            "mejs.caption-small-caps": "Small capitals",
+            "mejs.caption-dropshadow": "Drop shadow",
+            "mejs.caption-outline": "Outline",
+            "mejs.caption-raised": "Raised",
+            "mejs.caption-depressed": "Depressed",
+            "mejs.color-white": "White",
+            "mejs.color-yellow": "Yellow",
+            "mejs.color-green": "Green",
+            "mejs.color-cyan": "Cyan",
+            "mejs.color-blue": "Blue",
+            "mejs.color-magenta": "Magenta",
+            "mejs.color-red": "Red",
+            "mejs.color-black": "Black",
+
+            // mep-feature-transcript
+            "mejs.transcript": "Transcript",
+            "mejs.transcript-search": "Search transcript",
+            "mejs.transcript-download": "Download transcript",
+            "mejs.transcript-none": "No transcript available",
+
+            // mep-feature-tracksearch
+            "mejs.track-search": "Search in this video",
+            "mejs.track-search-none": "No results",
 
             // mep-feature-volume
             "mejs.mute-toggle": "Mute Toggle",
@@ -68,7 +141,16 @@
             "mejs.ad-skip-info": ["Skip in 1 second", "Skip in %1 seconds"],
 
             // mep-feature-sourcechooser
-            "mejs.source-chooser": "Source Chooser"
+            "mejs.source-chooser": "Source Chooser",
+
+            // mep-feature-visualcontrols
+            "mejs.visual-controls": "Picture Adjustments",
+            "mejs.visual-brightness": "Brightness",
+            "mejs.visual-contrast": "Contrast",
+            "mejs.visual-saturate": "Saturation",
+            "mejs.visual-hue-rotate": "Hue",
+            "mejs.visual-grayscale": "Grayscale",
+            "mejs.visual-reset": "Reset"
         };
     }
 }(mejs.i18n.locale.strings));
@@ -288,5 +288,41 @@ mejs.Utility = {
 			typeof sourceNode.compareDocumentPosition === 'function' &&
 			sourceNode.compareDocumentPosition(targetNode) & Node.DOCUMENT_POSITION_PRECEDING
 		);
+	},
+
+	/**
+	* Lets the browser save text as a file.
+	* @param {String} text - the content of the file
+	* @param {String} fileName - the name offered for the file
+	* @param {String} type - its MIME type, 'text/plain' by default
+	*/
+	saveText: function(text, fileName, type) {
+		var
+			link = document.createElement('a'),
+			url;
+
+		type = (type || 'text/plain') + ';charset=utf-8';
+
+		if (window.navigator.msSaveBlob) {
+			window.navigator.msSaveBlob(new Blob([text], {type: type}), fileName);
+			return;
+		}
+
+		url = window.Blob && window.URL && URL.createObjectURL ?
+			URL.createObjectURL(new Blob([text], {type: type})) :
+			'data:' + type + ',' + encodeURIComponent(text);
+
+		link.href = url;
+		link.download = fileName;
+		link.style.display = 'none';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+
+		if (url.indexOf('blob:') === 0) {
+			setTimeout(function() {
+				URL.revokeObjectURL(url);
+			}, 1000);
+		}
 	}
 };
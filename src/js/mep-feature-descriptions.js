@@ -0,0 +1,243 @@
+/**
+ * Audio description plugin
+ *
+ * Reads the cues of a <track kind="descriptions"> aloud with the browser's speech synthesis, or hands
+ * them to screen readers through a live region, while a control bar button turns them on and off.
+ * With `extendedDescriptions`, the media waits at the end of a cue until its description is finished.
+ * Needs the `tracks` feature.
+ */
+(function($) {
+
+	$.extend(mejs.MepDefaults, {
+		// Turn audio descriptions on when the player is built
+		audioDescriptions: false,
+		// Language of the descriptions track; if empty, the first one
+		audioDescriptionLanguage: '',
+		// Speak the descriptions; if false, or if the browser can't, they only go to screen readers
+		audioDescriptionSpeech: true,
+		// Speech rate, from 0.1 to 10
+		audioDescriptionRate: 1,
+		// Pause the media while a description runs longer than its cue, and resume once it is done
+		extendedDescriptions: false,
+		audioDescriptionText: ''
+	});
+
+	$.extend(MediaElementPlayer.prototype, {
+
+		descriptionsTrack: null,
+
+		descriptionsEnabled: false,
+
+		// the description being read, as {text, utterance, endCue, timer}
+		descriptionSpoken: null,
+
+		// true while the media is paused to finish a description
+		descriptionExtending: false,
+
+		builddescriptions: function(player, controls, layers, media) {
+			var
+				t = this,
+				descriptionTitle = t.options.audioDescriptionText ? t.options.audioDescriptionText : mejs.i18n.t('mejs.audio-description');
+
+			player.descriptionsButton =
+				$('<div class="mejs-button mejs-descriptions-button">' +
+					'<button type="button" aria-controls="' + t.id + '" aria-pressed="false" title="' + descriptionTitle + '" aria-label="' + descriptionTitle + '">AD</button>' +
+				'</div>')
+				.appendTo(controls)
+				.hide()
+				.click(function() {
+					player.setAudioDescriptions(!player.descriptionsEnabled);
+				});
+
+			// screen readers pick the descriptions up from here
+			player.descriptionsRegion =
+				$('<div class="mejs-descriptions mejs-offscreen" role="status" aria-live="polite" aria-atomic="true"></div>')
+				.appendTo(layers);
+
+			player.descriptionsCues = [];
+
+			t.container.on('trackloaded', function(e, track) {
+				if (track.kind === 'descriptions' && (!player.descriptionsTrack || $.inArray(player.descriptionsTrack, player.tracks) === -1 ||
+						(player.options.audioDescriptionLanguage && track.srclang === player.options.audioDescriptionLanguage))) {
+					player.setDescriptionsTrack(track);
+				}
+			});
+
+			// the next playlist item may come without descriptions
+			t.container.on('playlistchange', function() {
+				if (player.descriptionsTrack && $.inArray(player.descriptionsTrack, player.tracks) === -1) {
+					player.setDescriptionsTrack(null);
+				}
+			});
+
+			media.addEventListener('seeking', function() {
+				player.stopDescription();
+			}, false);
+
+			media.addEventListener('pause', function() {
+				if (!player.descriptionExtending) {
+					player.stopDescription();
+				}
+			}, false);
+
+			media.addEventListener('play', function() {
+				// the viewer didn't want to wait for the end of the description
+				if (player.descriptionExtending) {
+					player.descriptionExtending = false;
+					player.stopDescription();
+				}
+			}, false);
+
+			player.descriptionsEnabled = player.options.audioDescriptions;
+		},
+
+		cleandescriptions: function(player) {
+			if (player.descriptionsRegion) {
+				player.descriptionExtending = false;
+				player.stopDescription();
+				player.descriptionsRegion.remove();
+
+				while (player.descriptionsCues.length) {
+					player.removeCue(player.descriptionsCues.pop());
+				}
+			}
+		},
+
+		// Reads the cues of this descriptions track from now on; null stops reading and hides the button
+		setDescriptionsTrack: function(track) {
+			var
+				t = this,
+				i;
+
+			for (i = 0; i < t.descriptionsCues.length; i++) {
+				t.removeCue(t.descriptionsCues[i]);
+			}
+			t.descriptionsCues = [];
+			t.descriptionsTrack = track;
+
+			if (!track) {
+				t.descriptionExtending = false;
+				t.stopDescription();
+				t.descriptionsButton.hide();
+				t.setControlsSize();
+				return;
+			}
+
+			for (i = 0; i < track.entries.times.length; i++) {
+				t.descriptionsCues.push(t.addCue(track.entries.times[i].start, (function(index) {
+					return function() {
+						if (t.descriptionsEnabled) {
+							t.speakDescription($.trim($('<div>' + track.entries.text[index].replace(/<br\s*\/?>/gi, ' ') + '</div>').text()), track.entries.times[index].stop);
+						}
+					};
+				})(i)));
+			}
+
+			t.descriptionsButton.show();
+			t.setAudioDescriptions(t.descriptionsEnabled);
+			t.setControlsSize();
+		},
+
+		setAudioDescriptions: function(enabled) {
+			var t = this;
+
+			t.descriptionsEnabled = !!enabled;
+
+			t.descriptionsButton
+				.toggleClass('mejs-descriptions-on', t.descriptionsEnabled)
+				.find('button').attr('aria-pressed', t.descriptionsEnabled ? 'true' : 'false');
+
+			if (!t.descriptionsEnabled) {
+				t.stopDescription();
+			}
+
+			t.container.trigger('audiodescriptionchange', [t.descriptionsEnabled]);
+		},
+
+		// Reads a description that should be over by `stop` seconds
+		speakDescription: function(text, stop) {
+			var
+				t = this,
+				synthesis = t.options.audioDescriptionSpeech && window.speechSynthesis && window.SpeechSynthesisUtterance ? window.speechSynthesis : null,
+				spoken;
+
+			t.stopDescription();
+
+			if (!text) {
+				return;
+			}
+
+			spoken = t.descriptionSpoken = {text: text, done: false};
+
+			if (synthesis) {
+				spoken.utterance = new SpeechSynthesisUtterance(text);
+				spoken.utterance.lang = t.descriptionsTrack.srclang || '';
+				spoken.utterance.rate = t.options.audioDescriptionRate;
+				spoken.utterance.onend = spoken.utterance.onerror = function() {
+					t.endDescription(spoken);
+				};
+				synthesis.speak(spoken.utterance);
+			} else {
+				t.descriptionsRegion.text(text);
+				// a screen reader doesn't say when it is done: allow about three words a second
+				spoken.timer = setTimeout(function() {
+					t.endDescription(spoken);
+				}, text.split(/\s+/).length / 3 * 1000 / t.options.audioDescriptionRate);
+			}
+
+			if (t.options.extendedDescriptions && stop > t.media.currentTime) {
+				spoken.endCue = t.addCue(stop, function() {
+					if (!spoken.done && t.descriptionSpoken === spoken) {
+						t.descriptionExtending = true;
+						t.pause();
+					}
+				}, {once: true, tolerance: 0.25});
+			}
+		},
+
+		endDescription: function(spoken) {
+			var t = this;
+
+			if (spoken.done) {
+				return;
+			}
+
+			spoken.done = true;
+			clearTimeout(spoken.timer);
+			t.removeCue(spoken.endCue);
+
+			if (t.descriptionSpoken === spoken) {
+				t.descriptionSpoken = null;
+
+				if (t.descriptionExtending) {
+					t.descriptionExtending = false;
+					t.play();
+				}
+			}
+		},
+
+		stopDescription: function() {
+			var
+				t = this,
+				spoken = t.descriptionSpoken;
+
+			if (!spoken) {
+				return;
+			}
+
+			t.descriptionSpoken = null;
+			t.endDescription(spoken);
+
+			if (spoken.utterance) {
+				window.speechSynthesis.cancel();
+			}
+
+			// don't leave the media waiting for a description that won't finish
+			if (t.descriptionExtending) {
+				t.descriptionExtending = false;
+				t.play();
+			}
+		}
+	});
+
+})(mejs.$);
@@ -1,12 +1,228 @@
+/**
+ * End screen plugin
+ *
+ * Shows a layer when the media ends with a replay button, a grid of related items and,
+ * optionally, an "Up next" countdown that plays the next item unless it is cancelled.
+ *
+ * Related items are given as {title: '', poster: '', url: ''} to link to another page, or as
+ * {title: '', poster: '', src: 'file.mp4' or [{src: '', type: ''}]} to play them in the player.
+ * The next item is the next playlist item when there is a playlist, otherwise the first related item with a `src`.
+ */
 (function($) {
 
+	$.extend(mejs.MepDefaults, {
+		// Related items shown on the end screen
+		endedRelated: [],
+		// URL of a JSON file with the related items (an array, or an object with an `items` array)
+		endedRelatedUrl: '',
+		// Seconds before the next item starts; 0 disables the countdown
+		endedCountdown: 0,
+		endedReplayText: '',
+		endedCancelText: ''
+	});
+
 	$.extend(MediaElementPlayer.prototype, {
+
+		endedRelated: [],
+
+		endedTimer: null,
+
 		buildendedhtml: function(player, controls, layers, media) {
 			if (!player.isVideo)
 				return;
 
-			// add postroll
+			var
+				t = this,
+				replayTitle = t.options.endedReplayText ? t.options.endedReplayText : mejs.i18n.t('mejs.replay'),
+				cancelTitle = t.options.endedCancelText ? t.options.endedCancelText : mejs.i18n.t('mejs.cancel');
+
+			player.endedLayer =
+				$('<div class="mejs-endedhtml-layer mejs-layer" role="dialog">' +
+					'<div class="mejs-endedhtml-next">' +
+						'<span class="mejs-endedhtml-next-title"></span>' +
+						'<span class="mejs-endedhtml-countdown" aria-live="polite"></span>' +
+						'<button type="button" class="mejs-endedhtml-cancel">' + cancelTitle + '</button>' +
+					'</div>' +
+					'<button type="button" class="mejs-endedhtml-replay" title="' + replayTitle + '" aria-label="' + replayTitle + '"><span>' + replayTitle + '</span></button>' +
+					'<ul class="mejs-endedhtml-related"></ul>' +
+				'</div>')
+				// above the big play button, which comes back when the media ends
+				.appendTo(layers)
+				.hide();
+
+			player.endedLayer
+				.on('click', '.mejs-endedhtml-replay', function() {
+					player.hideEndedScreen();
+					player.setCurrentTime(0);
+					player.play();
+				})
+				.on('click', '.mejs-endedhtml-cancel', function() {
+					player.cancelEndedCountdown();
+				})
+				.on('click', '.mejs-endedhtml-item[data-index]', function() {
+					player.playEndedItem(parseInt($(this).attr('data-index'), 10));
+					return false;
+				});
+
+			media.addEventListener('ended', function() {
+				// a playlist that moves on by itself, or an A-B repeat, does not need an end screen
+				if (player.options.loop || player.loopRange || (player.playlist && player.options.playlistAutoAdvance && player.getPlaylistIndex(1) > -1)) {
+					return;
+				}
+
+				player.showEndedScreen();
+			}, false);
+
+			media.addEventListener('play', function() {
+				player.hideEndedScreen();
+			}, false);
+
+			if (player.options.endedRelated.length) {
+				player.setEndedRelated(player.options.endedRelated);
+			} else if (player.options.endedRelatedUrl) {
+				$.ajax({
+					url: player.options.endedRelatedUrl,
+					dataType: 'json',
+					success: function(data) {
+						player.setEndedRelated($.isArray(data) ? data : (data && data.items) || []);
+					}
+				});
+			}
+		},
+
+		cleanendedhtml: function(player) {
+			if (player.endedLayer) {
+				player.cancelEndedCountdown();
+				player.endedLayer.remove();
+			}
+		},
+
+		setEndedRelated: function(items) {
+			var
+				t = this,
+				list = t.endedLayer.find('.mejs-endedhtml-related').empty(),
+				item,
+				url,
+				i;
+
+			t.endedRelated = items;
+
+			for (i = 0; i < items.length; i++) {
+				item = items[i];
+				// http(s) and relative links only: a feed could slip in javascript: or data: URLs
+				url = item.url && /^(https?:|[^:\/?#]*([\/?#]|$))/i.test(item.url) ? item.url : '';
+
+				list.append(
+					'<li>' +
+						// items with media play in place, the others are plain links
+						'<a class="mejs-endedhtml-item" href="' + (url ? mejs.Utility.escapeHTML(url) : '#') + '"' + (item.src ? ' data-index="' + i + '"' : '') + '>' +
+							(item.poster ? '<img src="' + mejs.Utility.escapeHTML(item.poster) + '" alt="" />' : '') +
+							'<span class="mejs-endedhtml-item-title">' + mejs.Utility.escapeHTML(item.title || '') + '</span>' +
+						'</a>' +
+					'</li>'
+				);
+			}
+		},
+
+		showEndedScreen: function() {
+			var
+				t = this,
+				next = t.getEndedNext(),
+				seconds = t.options.endedCountdown,
+				update = function() {
+					t.endedLayer.find('.mejs-endedhtml-countdown').text(mejs.i18n.t('mejs.up-next', seconds));
+				};
+
+			t.cancelEndedCountdown();
+			t.endedLayer.show();
+
+			if (!next || seconds <= 0) {
+				return;
+			}
+
+			t.endedLayer.find('.mejs-endedhtml-next-title').text(next.title || '');
+			t.endedLayer.find('.mejs-endedhtml-next').show();
+			update();
+
+			t.endedTimer = setInterval(function() {
+				seconds--;
+
+				if (seconds > 0) {
+					update();
+					return;
+				}
+
+				t.cancelEndedCountdown();
+				next.play();
+			}, 1000);
+		},
+
+		hideEndedScreen: function() {
+			var t = this;
+
+			t.cancelEndedCountdown();
+			t.endedLayer.hide();
+		},
+
+		cancelEndedCountdown: function() {
+			var t = this;
+
+			clearInterval(t.endedTimer);
+			t.endedTimer = null;
+			t.endedLayer.find('.mejs-endedhtml-next').hide();
+		},
+
+		// The item the countdown leads to, as {title, play}, or null
+		getEndedNext: function() {
+			var
+				t = this,
+				index,
+				i;
+
+			if (t.playlist) {
+				index = t.getPlaylistIndex(1);
+
+				return index === -1 ? null : {
+					title: t.playlist.items[index].title,
+					play: function() {
+						t.playlistGoTo(index, true);
+					}
+				};
+			}
+
+			for (i = 0; i < t.endedRelated.length; i++) {
+				if (t.endedRelated[i].src) {
+					index = i;
+
+					return {
+						title: t.endedRelated[i].title,
+						play: function() {
+							t.playEndedItem(index);
+						}
+					};
+				}
+			}
+
+			return null;
+		},
+
+		playEndedItem: function(index) {
+			var
+				t = this,
+				item = t.endedRelated[index];
+
+			t.hideEndedScreen();
+			t.pause();
+			t.setSrc(item.src);
+
+			if (item.poster) {
+				t.setPoster(item.poster);
+			}
+
+			t.load();
+			t.play();
+			t.container.trigger('endedhtmlitem', [index, item]);
 		}
 	});
-	
-})(mejs.$);
\ No newline at end of file
+
+})(mejs.$);
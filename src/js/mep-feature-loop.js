@@ -1,26 +1,369 @@
 (function($) {
+
+	$.extend(mejs.MepDefaults, {
+		// Initial repeat mode: 'off', 'one' or 'all' ('all' repeats the whole playlist);
+		// if empty, it is taken from the `loop` option
+		loopMode: '',
+		// Initial state of the shuffle button
+		shuffle: false,
+		loopText: '',
+		shuffleText: ''
+	});
+
 	// loop toggle
 	$.extend(MediaElementPlayer.prototype, {
+
+		loopMode: 'off',
+
+		shuffleEnabled: false,
+
 		buildloop: function(player, controls, layers, media) {
-			var 
+			var
 				t = this,
 				// create the loop button
-				loop = 
-				$('<div class="mejs-button mejs-loop-button ' + ((player.options.loop) ? 'mejs-loop-on' : 'mejs-loop-off') + '">' +
-					'<button type="button" aria-controls="' + t.id + '" title="Toggle Loop" aria-label="Toggle Loop"></button>' +
+				loop =
+				$('<div class="mejs-button mejs-loop-button">' +
+					'<button type="button" aria-controls="' + t.id + '"></button>' +
 				'</div>')
 				// append it to the toolbar
 				.appendTo(controls)
-				// add a click toggle event
+				// cycle through off, repeat all and repeat one
 				.click(function() {
-					player.options.loop = !player.options.loop;
-					if (player.options.loop) {
-						loop.removeClass('mejs-loop-off').addClass('mejs-loop-on');
+					var modes = ['off', 'all', 'one'];
+
+					player.setLoopMode(modes[($.inArray(player.loopMode, modes) + 1) % modes.length]);
+				});
+
+			player.loopButton = loop;
+			player.setLoopMode(player.options.loopMode || (player.options.loop ? 'one' : 'off'));
+		},
+
+		setLoopMode: function(mode) {
+			var
+				t = this,
+				label;
+
+			if (mode !== 'one' && mode !== 'all') {
+				mode = 'off';
+			}
+
+			t.loopMode = mode;
+			// the player itself takes care of repeating a single item; without a playlist
+			// there is nothing else to go to, so 'all' repeats the single item as well
+			t.options.loop = (mode === 'one' || (mode === 'all' && !t.playlist));
+
+			if (t.loopButton) {
+				label = t.options.loopText ? t.options.loopText : mejs.i18n.t('mejs.loop-' + mode);
+
+				t.loopButton
+					.removeClass('mejs-loop-on mejs-loop-off mejs-loop-one mejs-loop-all')
+					.addClass(mode === 'off' ? 'mejs-loop-off' : 'mejs-loop-on mejs-loop-' + mode)
+					.find('button')
+						.attr('title', label)
+						.attr('aria-label', label);
+			}
+
+			if (t.updatePlaylistButtons) {
+				t.updatePlaylistButtons();
+			}
+		},
+
+		buildshuffle: function(player, controls, layers, media) {
+			var
+				t = this,
+				shuffleTitle = t.options.shuffleText ? t.options.shuffleText : mejs.i18n.t('mejs.shuffle');
+
+			player.shuffleButton =
+				$('<div class="mejs-button mejs-shuffle-button">' +
+					'<button type="button" aria-controls="' + t.id + '" title="' + shuffleTitle + '" aria-label="' + shuffleTitle + '" aria-pressed="false">&#8644;</button>' +
+				'</div>')
+				.appendTo(controls)
+				.click(function() {
+					player.setShuffle(!player.shuffleEnabled);
+				});
+
+			player.setShuffle(player.options.shuffle);
+		},
+
+		setShuffle: function(enabled) {
+			var t = this;
+
+			t.shuffleEnabled = !!enabled;
+
+			if (t.shuffleButton) {
+				t.shuffleButton
+					.toggleClass('mejs-shuffle-on', t.shuffleEnabled)
+					.toggleClass('mejs-shuffle-off', !t.shuffleEnabled)
+					.find('button')
+						.attr('aria-pressed', t.shuffleEnabled);
+			}
+
+			if (t.setPlaylistOrder) {
+				t.setPlaylistOrder();
+			}
+		},
+
+		// A-B repeat: loops playback between two points, set from the button, the keyboard
+		// ([ and ] set A and B, \ clears) or by dragging the handles on the time rail
+		loopRange: null,
+
+		// point A while waiting for point B
+		loopRangeStart: null,
+
+		// cue at point B (see addCue)
+		loopRangeCue: null,
+
+		buildabloop: function(player, controls, layers, media) {
+			var
+				t = this,
+				total = controls.find('.mejs-time-total'),
+				dragging = null,
+				handleMouseMove = function(e) {
+					var
+						x = e.originalEvent && e.originalEvent.changedTouches ? e.originalEvent.changedTouches[0].pageX : e.pageX,
+						time = Math.min(1, Math.max(0, (x - total.offset().left) / total.width())) * media.duration;
+
+					if (dragging === 'start') {
+						player.setLoopRange(Math.min(time, player.loopRange.end - 0.1), player.loopRange.end);
 					} else {
-						loop.removeClass('mejs-loop-on').addClass('mejs-loop-off');
+						player.setLoopRange(player.loopRange.start, Math.max(time, player.loopRange.start + 0.1));
+					}
+				};
+
+			player.abloopButton =
+				$('<div class="mejs-button mejs-abloop-button">' +
+					'<button type="button" aria-controls="' + t.id + '">A-B</button>' +
+				'</div>')
+				.appendTo(controls)
+				.click(function() {
+					if (player.loopRange) {
+						player.clearLoopRange();
+					} else if (player.loopRangeStart !== null) {
+						player.setLoopPoint('b');
+					} else {
+						player.setLoopPoint('a');
 					}
 				});
+
+			if (total.length) {
+				player.loopRail =
+					$('<span class="mejs-time-loop">' +
+						'<span class="mejs-time-loop-handle mejs-time-loop-start" data-point="start"></span>' +
+						'<span class="mejs-time-loop-handle mejs-time-loop-end" data-point="end"></span>' +
+					'</span>')
+					.appendTo(total)
+					.hide()
+					// don't let the rail seek while a handle is dragged
+					.on('mousedown touchstart', '.mejs-time-loop-handle', function(e) {
+						if (!player.loopRange || !media.duration) {
+							return;
+						}
+
+						dragging = $(this).attr('data-point');
+						t.globalBind('mousemove.abloop touchmove.abloop', handleMouseMove);
+						t.globalBind('mouseup.abloop touchend.abloop', function() {
+							dragging = null;
+							t.globalUnbind('.abloop');
+						});
+
+						return false;
+					});
+			}
+
+			player.options.keyActions = player.options.keyActions.concat([
+				{
+					keys: [219], // [
+					action: function(player) {
+						player.setLoopPoint('a');
+					}
+				},
+				{
+					keys: [221], // ]
+					action: function(player) {
+						player.setLoopPoint('b');
+					}
+				},
+				{
+					keys: [220], // \
+					action: function(player) {
+						player.clearLoopRange();
+					}
+				}
+			]);
+
+			// playing across B is caught by the cue set in setLoopRange, seeking past it here
+			media.addEventListener('seeked', function() {
+				if (player.loopRange && media.currentTime > player.loopRange.end) {
+					media.setCurrentTime(player.loopRange.start);
+				}
+			}, false);
+
+			// B at the very end of the media: start over once the player is done with its own `ended` handling
+			media.addEventListener('ended', function() {
+				if (player.loopRange) {
+					setTimeout(function() {
+						if (player.loopRange) {
+							media.setCurrentTime(player.loopRange.start);
+							media.play();
+						}
+					}, 0);
+				}
+			}, false);
+
+			media.addEventListener('loadedmetadata', function() {
+				player.drawLoopRange();
+			}, false);
+
+			// a new source does not keep the range of the previous one
+			media.addEventListener('emptied', function() {
+				player.clearLoopRange();
+			}, false);
+
+			t.container.on('controlsresize', function() {
+				player.drawLoopRange();
+			});
+
+			player.updateLoopRangeButton();
+		},
+
+		cleanabloop: function(player) {
+			player.globalUnbind('.abloop');
+		},
+
+		setLoopRange: function(start, end) {
+			var
+				t = this,
+				duration = t.media.duration,
+				swap;
+
+			start = parseFloat(start);
+			end = parseFloat(end);
+
+			if (start > end) {
+				swap = start;
+				start = end;
+				end = swap;
+			}
+
+			start = Math.max(0, start);
+			if (duration > 0) {
+				end = Math.min(duration, end);
+			}
+
+			if (isNaN(start) || isNaN(end) || end <= start) {
+				return;
+			}
+
+			t.loopRange = {start: start, end: end};
+			t.loopRangeStart = null;
+
+			t.removeCue(t.loopRangeCue);
+			t.loopRangeCue = t.addCue(end, function(media) {
+				media.setCurrentTime(t.loopRange.start);
+			}, {tolerance: 0});
+
+			if (t.media.currentTime < start || t.media.currentTime > end) {
+				t.media.setCurrentTime(start);
+			}
+
+			t.drawLoopRange();
+			t.updateLoopRangeButton();
+			t.container.trigger('looprangechange', [t.loopRange]);
+		},
+
+		clearLoopRange: function() {
+			var t = this;
+
+			if (t.loopRange === null && t.loopRangeStart === null) {
+				return;
+			}
+
+			t.loopRange = null;
+			t.loopRangeStart = null;
+
+			t.removeCue(t.loopRangeCue);
+			t.loopRangeCue = null;
+
+			t.drawLoopRange();
+			t.updateLoopRangeButton();
+			t.container.trigger('looprangechange', [null]);
+		},
+
+		// Sets point A ('a') or B ('b') at the current time
+		setLoopPoint: function(point) {
+			var
+				t = this,
+				time = t.media.currentTime;
+
+			if (point === 'a') {
+				if (t.loopRange && time < t.loopRange.end) {
+					t.setLoopRange(time, t.loopRange.end);
+				} else {
+					t.removeCue(t.loopRangeCue);
+					t.loopRange = null;
+					t.loopRangeCue = null;
+					t.loopRangeStart = time;
+					t.drawLoopRange();
+					t.updateLoopRangeButton();
+				}
+			} else if (t.loopRange) {
+				t.setLoopRange(t.loopRange.start, time);
+			} else if (t.loopRangeStart !== null) {
+				t.setLoopRange(t.loopRangeStart, time);
+			}
+		},
+
+		drawLoopRange: function() {
+			var
+				t = this,
+				duration = t.media.duration;
+
+			if (!t.loopRail) {
+				return;
+			}
+
+			if (!(duration > 0) || (t.loopRange === null && t.loopRangeStart === null)) {
+				t.loopRail.hide();
+				return;
+			}
+
+			if (t.loopRange) {
+				t.loopRail
+					.removeClass('mejs-time-loop-pending')
+					.css({
+						left: (100 * t.loopRange.start / duration) + '%',
+						width: (100 * (t.loopRange.end - t.loopRange.start) / duration) + '%'
+					})
+					.show();
+			} else {
+				t.loopRail
+					.addClass('mejs-time-loop-pending')
+					.css({
+						left: (100 * t.loopRangeStart / duration) + '%',
+						width: 0
+					})
+					.show();
+			}
+		},
+
+		updateLoopRangeButton: function() {
+			var
+				t = this,
+				state = t.loopRange ? 'on' : (t.loopRangeStart !== null ? 'a' : 'off'),
+				label = mejs.i18n.t(state === 'on' ? 'mejs.abloop-clear' : (state === 'a' ? 'mejs.abloop-set-b' : 'mejs.abloop-set-a'));
+
+			if (!t.abloopButton) {
+				return;
+			}
+
+			t.abloopButton
+				.removeClass('mejs-abloop-off mejs-abloop-a mejs-abloop-on')
+				.addClass('mejs-abloop-' + state)
+				.find('button')
+					.attr('title', label)
+					.attr('aria-label', label)
+					.attr('aria-pressed', state === 'on');
 		}
 	});
-	
+
 })(mejs.$);
@@ -1,8 +1,12 @@
 /*
-MediaElement-Markers is a MediaElement.js plugin that lets you add Visual Cues in the progress time rail. 
-This plugin also lets you register a custom callback function that will be called everytime the play position reaches a marker. 
+MediaElement-Markers is a MediaElement.js plugin that lets you add Visual Cues in the progress time rail.
+This plugin also lets you register a custom callback function that will be called everytime the play position reaches a marker.
 Marker position and a reference to the MediaElement Player object is passed to the registered callback function for any post processing. Marker color is configurable.
 
+Markers are given in seconds or as objects:
+{time: 12.5, label: 'Key moment', color: '#f00', className: 'my-marker', callback: function(media, time, marker) {}, data: {}}
+The label is shown when hovering the marker, and clicking a marker seeks to it.
+
 */
 
 (function ($) {
@@ -17,58 +21,115 @@ Marker position and a reference to the MediaElement Player object is passed to t
     });
 
     $.extend(MediaElementPlayer.prototype, {
+        markers: [],
+
         buildmarkers: function (player, controls, layers, media) {
             var t = this,
-                i = 0,
-                currentPos = -1,
-                currentMarker = -1,
-                lastPlayPos = -1, //Track backward seek
-                lastMarkerCallBack = -1; //Prevents successive firing of callbacks
+                i = 0;
+
+            player.markers = [];
+            player.markersRail = controls.find('.mejs-time-total');
+
+            player.markersRail
+                // seek to the marker itself rather than to the pixel under the mouse
+                .on('mousedown touchstart', '.mejs-time-marker', function (e) {
+                    e.stopPropagation();
+                })
+                .on('click', '.mejs-time-marker', function () {
+                    var marker = $(this).data('marker');
+
+                    media.setCurrentTime(marker.time);
+                    return false;
+                });
 
             for (i = 0; i < player.options.markers.length; ++i) {
-                controls.find('.mejs-time-total').append('<span class="mejs-time-marker"></span>');
+                player.addMarker(player.options.markers[i]);
             }
 
             media.addEventListener('durationchange', function (e) {
                 player.setmarkers(controls);
             });
-            media.addEventListener('timeupdate', function (e) {
-                currentPos = Math.floor(media.currentTime);
-                if (lastPlayPos > currentPos) {
-                    if (lastMarkerCallBack > currentPos) {
-                        lastMarkerCallBack = -1;
-                    }
+        },
+        setmarkers: function (controls) {
+            var t = this,
+                i = 0,
+                left;
+
+            for (i = 0; i < t.markers.length; ++i) {
+                if (t.markers[i].time <= t.media.duration && t.markers[i].time >= 0) {
+                    left = 100 * t.markers[i].time / t.media.duration;
+                    t.markers[i].element.css({
+                        "left": left+"%",
+                        "background": t.markers[i].color || t.options.markerColor
+                    }).show();
                 } else {
-                    lastPlayPos = currentPos;
+                    t.markers[i].element.hide();
                 }
+            }
 
-                for (i = 0; i < player.options.markers.length; ++i) {
-                    currentMarker = Math.floor(player.options.markers[i]); 
-                    if (currentPos === currentMarker && currentMarker !== lastMarkerCallBack) {
-                        player.options.markerCallback(media, media.currentTime); //Fires the callback function
-                        lastMarkerCallBack = currentMarker;
-                    }
-                }
+        },
+        // Adds a marker given in seconds or as an object, and returns the marker object
+        addMarker: function (marker) {
+            var t = this,
+                i = 0;
 
-            }, false);
+            if (typeof marker !== 'object') {
+                marker = {time: marker};
+            }
+
+            marker = $.extend({label: '', color: '', className: '', callback: null, data: null}, marker, {time: parseFloat(marker.time)});
+
+            if (isNaN(marker.time) || !t.markersRail) {
+                return null;
+            }
+
+            marker.element = $('<span class="mejs-time-marker' + (marker.className ? ' ' + marker.className : '') + '">' +
+                    (marker.label ? '<span class="mejs-time-marker-label">' + mejs.Utility.escapeHTML(marker.label) + '</span>' : '') +
+                '</span>')
+                .data('marker', marker)
+                .attr('aria-label', marker.label || mejs.Utility.secondsToTimeCode(marker.time, t.options))
+                .appendTo(t.markersRail)
+                .hide();
+
+            // keep markers sorted by time
+            while (i < t.markers.length && t.markers[i].time <= marker.time) {
+                i++;
+            }
+            t.markers.splice(i, 0, marker);
+
+            // fires the marker's callback, or the global one, when playback reaches it
+            marker.cue = t.addCue(marker.time, function (media, time) {
+                (marker.callback || t.options.markerCallback)(media, time, marker);
+            });
 
+            if (t.media.duration) {
+                t.setmarkers(t.controls);
+            }
+
+            return marker;
         },
-        setmarkers: function (controls) {
+        // Removes a marker, given as the object returned by addMarker() or as its time
+        removeMarker: function (marker) {
             var t = this,
-                i = 0,
-                left;
+                i;
 
-            for (i = 0; i < t.options.markers.length; ++i) {
-                if (Math.floor(t.options.markers[i]) <= t.media.duration && Math.floor(t.options.markers[i]) >= 0) {
-                    left = 100 * Math.floor(t.options.markers[i]) / t.media.duration;
-                    $(controls.find('.mejs-time-marker')[i]).css({
-                        "width": "1px",
-                        "left": left+"%",
-                        "background": t.options.markerColor
-                    });
+            for (i = t.markers.length - 1; i >= 0; i--) {
+                if (t.markers[i] === marker || t.markers[i].time === marker) {
+                    t.removeCue(t.markers[i].cue);
+                    t.markers[i].element.remove();
+                    t.markers.splice(i, 1);
                 }
             }
+        },
+        clearMarkers: function () {
+            var t = this,
+                marker;
 
+            while (t.markers.length) {
+                marker = t.markers.pop();
+                t.removeCue(marker.cue);
+                marker.element.remove();
+            }
         }
     });
-})(mejs.$);
\ No newline at end of file
+})(mejs.$);
@@ -1,12 +1,991 @@
+/**
+ * Playlist plugin
+ *
+ * Chains several media items in a single player. Items can be passed through the `playlist` option
+ * or declared inside the media tag:
+ *
+ * <video>
+ *     <source src="lesson1.mp4" type="video/mp4">
+ *     <div class="mejs-playlist-item" data-src="lesson1.mp4" data-type="video/mp4" data-poster="lesson1.jpg" title="Lesson 1">
+ *         <track src="lesson1-en.vtt" srclang="en" kind="subtitles">
+ *     </div>
+ *     <div class="mejs-playlist-item" data-src="lesson2.mp4" data-type="video/mp4" title="Lesson 2"></div>
+ * </video>
+ *
+ * or loaded from a playlist file through the `playlistUrl` option or a <link rel="playlist" href="album.m3u"> inside the media tag.
+ * Podcast RSS/Atom feeds are read the same way; their chapters and transcripts become tracks of each episode.
+ * A media tag without any <source> needs the `type` option (e.g. 'audio/mp3') so the player can be built before the file loads.
+ */
 (function($) {
 
+	$.extend(mejs.MepDefaults, {
+		// Array of items in the format
+		// {src: 'file.mp4' or [{src: 'file.mp4', type: 'video/mp4'}, ...], poster: '', title: '', tracks: [{src: '', srclang: '', kind: '', label: ''}]}
+		// If empty, items are read from the `.mejs-playlist-item` elements inside the media tag
+		playlist: [],
+		// Show the playlist panel when the player is built
+		playlistOpen: false,
+		// URL of an M3U, XSPF or JSON playlist file, or of a podcast RSS/Atom feed, to read the items from;
+		// a <link rel="playlist" href="" type=""> inside the media tag does the same
+		playlistUrl: '',
+		// Play the next item when the current one ends
+		playlistAutoAdvance: true,
+		// Audio only: preload the next item in a hidden element and switch to it without a gap
+		playlistGapless: false,
+		// Audio only: seconds over which the end of an item fades into the next one (implies gapless)
+		playlistCrossfade: 0,
+		playlistText: '',
+		previousText: '',
+		nextText: ''
+	});
+
 	$.extend(MediaElementPlayer.prototype, {
-		buildplaylist : function(player, controls, layers, media) {
-			if (!player.isVideo)
+
+		playlistPreloader: null,
+
+		playlistHandingOff: false,
+
+		// volume to go back to while a crossfade is running, null otherwise
+		playlistFadeVolume: null,
+
+		buildplaylist: function(player, controls, layers, media) {
+			var
+				t = this,
+				link = t.container.find('link[rel="playlist"]'),
+				playlistUrl = player.options.playlistUrl || link.attr('href'),
+				items = player.options.playlist.length || playlistUrl ? player.options.playlist : t.findPlaylistItems(),
+				playlistTitle = t.options.playlistText ? t.options.playlistText : mejs.i18n.t('mejs.playlist'),
+				previousTitle = t.options.previousText ? t.options.previousText : mejs.i18n.t('mejs.previous'),
+				nextTitle = t.options.nextText ? t.options.nextText : mejs.i18n.t('mejs.next');
+
+			if (items.length === 0 && !playlistUrl) {
+				return;
+			}
+
+			player.playlistPrevButton =
+				$('<div class="mejs-button mejs-previous-button">' +
+					'<button type="button" aria-controls="' + t.id + '" title="' + previousTitle + '" aria-label="' + previousTitle + '">&laquo;</button>' +
+				'</div>')
+				.appendTo(controls)
+				.click(function() {
+					player.playlistPrev();
+				});
+
+			player.playlistNextButton =
+				$('<div class="mejs-button mejs-next-button">' +
+					'<button type="button" aria-controls="' + t.id + '" title="' + nextTitle + '" aria-label="' + nextTitle + '">&raquo;</button>' +
+				'</div>')
+				.appendTo(controls)
+				.click(function() {
+					player.playlistNext();
+				});
+
+			player.playlistButton =
+				$('<div class="mejs-button mejs-playlist-button">' +
+					'<button type="button" aria-controls="' + t.id + '_playlist" aria-expanded="false" title="' + playlistTitle + '" aria-label="' + playlistTitle + '">&#9776;</button>' +
+				'</div>')
+				.appendTo(controls)
+				.click(function() {
+					if (player.playlistLayer.is(':visible')) {
+						player.hidePlaylist();
+					} else {
+						player.showPlaylist();
+					}
+				});
+
+			// video plays the list over the media; audio has no room for it, so it goes under the player
+			player.playlistLayer = $('<div id="' + t.id + '_playlist" class="mejs-playlist ' + (player.isVideo ? 'mejs-playlist-layer mejs-layer' : 'mejs-playlist-panel') + '">' +
+					'<ul class="mejs-playlist-items"></ul>' +
+				'</div>')
+				.hide();
+
+			if (player.isVideo) {
+				player.playlistLayer.insertBefore(layers.find('.mejs-overlay-play'));
+			} else {
+				player.playlistLayer.insertAfter(player.container);
+			}
+
+			player.playlistLayer
+				.on('click', '.mejs-playlist-entry', function() {
+					player.playlistGoTo(parseInt($(this).attr('data-index'), 10), true);
+					if (player.isVideo) {
+						player.hidePlaylist();
+					}
+				})
+				.on('keydown', '.mejs-playlist-entry', function(e) {
+					if (e.keyCode === 13 || e.keyCode === 32) { // enter, space
+						$(this).click();
+						return false;
+					}
+				});
+
+			media.addEventListener('ended', function() {
+				// an A-B repeat starts over instead (see buildabloop)
+				if (!player.playlist || !player.options.playlistAutoAdvance || player.options.loop || player.loopRange) {
+					return;
+				}
+
+				// start the preloaded item right away; the switch itself happens below
+				if (player.playlistPreloader && player.playlistPreloader.playlistIndex === player.getPlaylistIndex(1)) {
+					player.playlistHandingOff = true;
+					if (player.playlistFadeVolume === null) {
+						player.playlistPreloader.volume = media.volume;
+						player.playlistPreloader.muted = media.muted;
+					}
+					player.playlistPreloader.play();
+				}
+
+				// let the player finish its own `ended` handling (rewind, pause) before switching sources
+				setTimeout(function() {
+					var next = player.getPlaylistIndex(1);
+
+					if (next > -1 && player.playlistHandingOff) {
+						player.playlistHandoff(next);
+					} else if (next > -1) {
+						player.playlistGoTo(next, true);
+					}
+				}, 0);
+			}, false);
+
+			if (!player.isVideo && media.pluginType === 'native' && (player.options.playlistGapless || player.options.playlistCrossfade > 0)) {
+				player.setupPlaylistGapless();
+			}
+
+			if (items.length) {
+				player.setPlaylist(items);
+			} else {
+				player.loadPlaylist(playlistUrl, player.options.playlistUrl ? '' : link.attr('type'));
+			}
+
+			if (player.options.playlistOpen) {
+				player.showPlaylist();
+			}
+		},
+
+		cleanplaylist: function(player) {
+			if (player.playlistLayer) {
+				player.playlistLayer.remove();
+			}
+			if (player.playlistPreloader) {
+				player.playlistPreloader.pause();
+				player.playlistPreloader.removeAttribute('src');
+				player.playlistPreloader = null;
+			}
+		},
+
+		// Replaces the playlist items; the first one is loaded unless it is already the media in the tag
+		setPlaylist: function(items) {
+			var
+				t = this,
+				replacing = !!t.playlist,
+				list = t.playlistLayer.find('ul').empty(),
+				i;
+
+			t.playlist = {
+				items: items,
+				currentIndex: 0,
+				// play order; differs from the item order when shuffling
+				order: [],
+				next: function() {
+					t.playlistNext();
+				},
+				prev: function() {
+					t.playlistPrev();
+				},
+				goTo: function(index) {
+					t.playlistGoTo(index, true);
+				}
+			};
+
+			for (i = 0; i < items.length; i++) {
+				list.append(
+					'<li class="mejs-playlist-entry" data-index="' + i + '" tabindex="0" role="button">' +
+						(items[i].poster ? '<img class="mejs-playlist-entry-poster" src="' + mejs.Utility.escapeHTML(items[i].poster) + '" alt="" />' : '') +
+						'<span class="mejs-playlist-entry-title">' + (items[i].title ? mejs.Utility.escapeHTML(items[i].title) : mejs.i18n.t('mejs.playlist-item', i + 1)) + '</span>' +
+						(items[i].artist ? '<span class="mejs-playlist-entry-artist">' + mejs.Utility.escapeHTML(items[i].artist) + '</span>' : '') +
+						(items[i].date && !isNaN(items[i].date.getTime()) ? '<span class="mejs-playlist-entry-date">' + mejs.Utility.escapeHTML(items[i].date.toLocaleDateString()) + '</span>' : '') +
+						(items[i].duration > 0 ? '<span class="mejs-playlist-entry-duration">' + mejs.Utility.secondsToTimeCode(items[i].duration, t.options) + '</span>' : '') +
+					'</li>'
+				);
+			}
+
+			t.playlistPrevButton.add(t.playlistNextButton).add(t.playlistButton).toggle(items.length > 0);
+			t.setControlsSize();
+
+			if (items.length === 0) {
+				t.playlist = null;
+			}
+
+			// repeat all means something else with and without a playlist
+			if (t.loopButton) {
+				t.setLoopMode(t.loopMode);
+			}
+
+			if (!t.playlist) {
+				return;
+			}
+
+			t.setPlaylistOrder();
+
+			if (replacing || (!t.media.src && !t.$media.children('source').length)) {
+				t.playlistGoTo(0, replacing && !t.media.paused);
+			} else {
+				t.setPlaylistIndex(0);
+			}
+		},
+
+		// Loads the items from an M3U, XSPF or JSON playlist file (see mejs.PlaylistFormatParser)
+		loadPlaylist: function(url, type) {
+			var t = this;
+
+			$.ajax({
+				url: url,
+				dataType: 'text',
+				success: function(d) {
+					var items;
+
+					// a malformed JSON or XML file is handled like a missing one
+					try {
+						items = mejs.PlaylistFormatParser.parse(d, url, type);
+					} catch (e) {
+						items = [];
+					}
+
+					t.setPlaylist(items);
+				},
+				error: function() {
+					t.setPlaylist([]);
+				}
+			});
+		},
+
+		findPlaylistItems: function() {
+			var t = this,
+				items = [];
+
+			t.$media.children('.mejs-playlist-item').each(function() {
+				var
+					node = $(this),
+					tracks = [];
+
+				node.find('track').each(function() {
+					var track = $(this);
+					tracks.push({
+						src: track.attr('src'),
+						srclang: track.attr('srclang') || '',
+						kind: track.attr('kind') || '',
+						label: track.attr('label') || ''
+					});
+				});
+
+				items.push({
+					src: node.attr('data-type') ? [{src: node.attr('data-src'), type: node.attr('data-type')}] : node.attr('data-src'),
+					poster: node.attr('data-poster') || '',
+					title: node.attr('title') || node.attr('data-title') || '',
+					tracks: tracks
+				});
+			});
+
+			return items;
+		},
+
+		playlistGoTo: function(index, autoplay) {
+			var
+				t = this,
+				item;
+
+			if (!t.playlist || index < 0 || index >= t.playlist.items.length) {
 				return;
+			}
+
+			item = t.playlist.items[index];
+
+			t.pause();
+			t.setSrc(item.src);
+
+			if (item.poster) {
+				t.setPoster(item.poster);
+				t.container.find('.mejs-poster').show();
+			} else {
+				t.container.find('.mejs-poster').hide();
+			}
+
+			t.setPlaylistTracks(item.tracks || []);
+			t.setPlaylistIndex(index);
+
+			t.media.load();
+			if (autoplay) {
+				t.media.play();
+			}
+		},
+
+		playlistNext: function() {
+			var t = this;
+
+			if (t.playlist) {
+				t.playlistGoTo(t.getPlaylistIndex(1), true);
+			}
+		},
+
+		playlistPrev: function() {
+			var
+				t = this,
+				previous;
+
+			if (!t.playlist) {
+				return;
+			}
+
+			previous = t.getPlaylistIndex(-1);
+
+			// like any music player, go back to the start of the item when it has been playing for a while
+			if (t.media.currentTime > 3 || previous === -1) {
+				t.media.setCurrentTime(0);
+			} else {
+				t.playlistGoTo(previous, true);
+			}
+		},
+
+		// Index of the item `step` positions away from the current one in play order,
+		// or -1 when the end of the list is reached and the player is not repeating all
+		getPlaylistIndex: function(step) {
+			var
+				t = this,
+				order = t.playlist.order,
+				position = $.inArray(t.playlist.currentIndex, order) + step;
+
+			if (position < 0 || position >= order.length) {
+				if (t.loopMode !== 'all') {
+					return -1;
+				}
+				position = (position + order.length) % order.length;
+			}
+
+			return order[position];
+		},
+
+		// Rebuilds the play order; when shuffling, the current item stays first so it is not played twice
+		setPlaylistOrder: function() {
+			var
+				t = this,
+				order = [],
+				i,
+				j,
+				swap;
+
+			if (!t.playlist) {
+				return;
+			}
+
+			for (i = 0; i < t.playlist.items.length; i++) {
+				if (!t.shuffleEnabled || i !== t.playlist.currentIndex) {
+					order.push(i);
+				}
+			}
+
+			if (t.shuffleEnabled) {
+				for (i = order.length - 1; i > 0; i--) {
+					j = Math.floor(Math.random() * (i + 1));
+					swap = order[i];
+					order[i] = order[j];
+					order[j] = swap;
+				}
+				order.unshift(t.playlist.currentIndex);
+			}
+
+			t.playlist.order = order;
+			t.updatePlaylistButtons();
+		},
+
+		updatePlaylistButtons: function() {
+			var t = this;
+
+			if (!t.playlist) {
+				return;
+			}
+
+			t.playlistPrevButton.toggleClass('mejs-playlist-first', t.getPlaylistIndex(-1) === -1);
+			t.playlistNextButton.toggleClass('mejs-playlist-last', t.getPlaylistIndex(1) === -1);
+		},
+
+		setPlaylistIndex: function(index) {
+			var t = this;
+
+			t.playlist.currentIndex = index;
+
+			t.playlistLayer.find('.mejs-playlist-entry')
+				.removeClass('mejs-playlist-selected')
+				.attr('aria-current', 'false')
+				.eq(index)
+					.addClass('mejs-playlist-selected')
+					.attr('aria-current', 'true');
+
+			t.updatePlaylistButtons();
+
+			t.container.trigger('playlistchange', [index, t.playlist.items[index]]);
+		},
+
+		setPlaylistTracks: function(tracks) {
+			var t = this,
+				i;
+
+			t.$media.children('track').remove();
+
+			for (i = 0; i < tracks.length; i++) {
+				$('<track />')
+					.attr({
+						src: tracks[i].src,
+						srclang: tracks[i].srclang || '',
+						kind: tracks[i].kind || 'subtitles',
+						label: tracks[i].label || '',
+						type: tracks[i].type || ''
+					})
+					.appendTo(t.$media);
+			}
+
+			if (typeof t.buildtracks === 'undefined' || $.inArray('tracks', t.options.features) === -1) {
+				return;
+			}
+
+			// keep the language the user picked for the previous item
+			if (t.selectedTrack) {
+				t.options.startLanguage = t.selectedTrack.srclang;
+			}
+			if (t.selectedSecondaryTrack) {
+				t.options.startSecondaryLanguage = t.selectedSecondaryTrack.srclang;
+			}
+
+			t.cleartracks(t);
+			t.rebuildtracks();
+			t.setControlsSize();
+		},
+
+		showPlaylist: function() {
+			var t = this;
+
+			t.playlistLayer.show();
+			t.playlistButton.addClass('mejs-playlist-open')
+				.find('button').attr('aria-expanded', 'true');
+		},
+
+		hidePlaylist: function() {
+			var t = this;
+
+			t.playlistLayer.hide();
+			t.playlistButton.removeClass('mejs-playlist-open')
+				.find('button').attr('aria-expanded', 'false');
+		},
+
+		/*
+		Gapless playback: the next item is loaded in a hidden <audio> element while the current one plays.
+		That element starts as soon as the current item ends (or `playlistCrossfade` seconds before, fading
+		the volumes across), keeps playing while the player switches its own source, and is stopped
+		once the player has caught up with it.
+		*/
+		setupPlaylistGapless: function() {
+			var t = this;
+
+			t.playlistPreloader = document.createElement('audio');
+			t.playlistPreloader.preload = 'auto';
+			t.playlistPreloader.playlistIndex = -1;
 
-			// add speed controls
+			t.media.addEventListener('timeupdate', function() {
+				var
+					fade = t.options.playlistCrossfade,
+					remaining = t.media.duration - t.media.currentTime,
+					preloader = t.playlistPreloader,
+					volume;
+
+				if (!t.playlist || !preloader || t.playlistHandingOff) {
+					return;
+				}
+
+				// nothing follows an item or a range that repeats, or a list that does not move on by itself
+				if (!t.options.playlistAutoAdvance || t.options.loop || t.loopRange) {
+					t.stopPlaylistFade();
+					return;
+				}
+
+				t.preloadPlaylistItem();
+
+				if (fade <= 0 || preloader.playlistIndex === -1 || isNaN(remaining) || t.media.paused) {
+					return;
+				}
+
+				if (remaining > fade) {
+					// seeked back out of the fade
+					if (t.playlistFadeVolume !== null) {
+						t.stopPlaylistFade();
+					}
+					return;
+				}
+
+				if (t.playlistFadeVolume === null) {
+					t.playlistFadeVolume = t.media.volume;
+					preloader.muted = t.media.muted;
+					preloader.currentTime = Math.max(0, fade - remaining);
+					preloader.play();
+				}
+
+				volume = t.playlistFadeVolume * Math.max(0, remaining) / fade;
+				t.media.setVolume(volume);
+				preloader.volume = t.playlistFadeVolume - volume;
+			}, false);
+
+			t.media.addEventListener('pause', function() {
+				// the pause at the end of an item is part of the switch
+				if (!t.playlistHandingOff && !t.media.ended) {
+					t.stopPlaylistFade();
+				}
+			}, false);
+		},
+
+		// Loads the item that plays after the current one into the hidden element
+		preloadPlaylistItem: function() {
+			var
+				t = this,
+				preloader = t.playlistPreloader,
+				next = t.getPlaylistIndex(1),
+				src,
+				i;
+
+			if (next === preloader.playlistIndex) {
+				return;
+			}
+
+			t.stopPlaylistFade();
+			preloader.playlistIndex = -1;
+
+			if (next === -1) {
+				preloader.removeAttribute('src');
+				return;
+			}
+
+			src = t.playlist.items[next].src;
+			if (typeof src !== 'string') {
+				for (i = 0; i < src.length; i++) {
+					if (!src[i].type || preloader.canPlayType(src[i].type)) {
+						break;
+					}
+				}
+				if (i === src.length) {
+					return;
+				}
+				src = src[i].src;
+			}
+
+			preloader.playlistIndex = next;
+			preloader.src = src;
+			preloader.load();
+		},
+
+		stopPlaylistFade: function() {
+			var
+				t = this,
+				preloader = t.playlistPreloader;
+
+			if (preloader && preloader.playlistIndex !== -1 && !preloader.paused) {
+				preloader.pause();
+				preloader.currentTime = 0;
+			}
+
+			if (t.playlistFadeVolume !== null) {
+				t.media.setVolume(t.playlistFadeVolume);
+				t.playlistFadeVolume = null;
+			}
+		},
+
+		// Switches the player to the item already playing in the hidden element, picking up where it is
+		playlistHandoff: function(index) {
+			var
+				t = this,
+				preloader = t.playlistPreloader,
+				volume = t.playlistFadeVolume !== null ? t.playlistFadeVolume : t.media.volume,
+				resume = function() {
+					t.media.removeEventListener('loadedmetadata', resume, false);
+					t.media.setCurrentTime(preloader.currentTime);
+					t.media.play();
+				},
+				playing = function() {
+					t.media.removeEventListener('playing', playing, false);
+					preloader.pause();
+					preloader.playlistIndex = -1;
+					preloader.volume = 1;
+					t.playlistHandingOff = false;
+					t.preloadPlaylistItem();
+				};
+
+			t.playlistFadeVolume = null;
+			t.media.setVolume(volume);
+			preloader.volume = volume;
+
+			t.media.addEventListener('loadedmetadata', resume, false);
+			t.media.addEventListener('playing', playing, false);
+			t.playlistGoTo(index, false);
 		}
 	});
-	
+
+	/*
+	Parses playlist files into items for the `playlist` option. Supported formats:
+
+	Extended M3U (.m3u, .m3u8)
+	================================
+	#EXTM3U
+	#EXTINF:242,Artist - Title
+	track1.mp3
+	================================
+
+	XSPF (.xspf): <title>, <creator>, <image>, <duration> (milliseconds) and <location> of every <track>
+
+	JSON (.json): an array of items, or an object with an `items` array, in the same format as the `playlist` option
+	================================
+	{
+		"title": "Lesson 1",
+		"items": [
+			{"src": "clip1.mp4", "type": "video/mp4", "title": "Intro", "poster": "clip1.jpg", "duration": 95,
+			 "tracks": [{"src": "clip1.vtt", "srclang": "en", "kind": "subtitles", "label": "English"}]}
+		]
+	}
+	================================
+
+	Relative URLs are resolved against the URL of the playlist file.
+	*/
+	mejs.PlaylistFormatParser = {
+		// Picks the parser from the MIME type, then the file extension, then the content
+		detect: function(text, url, type) {
+			var
+				p = mejs.PlaylistFormatParser,
+				format = null,
+				extension = url ? url.split(/[?#]/)[0].split('.').pop().toLowerCase() : '',
+				name;
+
+			type = (type || '').toLowerCase();
+			text = $.trim(text);
+
+			for (name in p) {
+				if (p[name] && p[name].types && ($.inArray(type, p[name].types) > -1 || $.inArray(extension, p[name].extensions) > -1)) {
+					format = name;
+					break;
+				}
+			}
+
+			if (!format) {
+				for (name in p) {
+					if (p[name] && p[name].test && p[name].test(text)) {
+						format = name;
+						break;
+					}
+				}
+			}
+
+			// a plain list of URLs is a valid M3U file
+			return format || 'm3u';
+		},
+
+		parse: function(text, url, type) {
+			var p = mejs.PlaylistFormatParser;
+
+			return p[p.detect(text, url, type)].parse(text, url);
+		},
+
+		parseXML: function(text) {
+			return $.parseXML ? $.parseXML(text) : new DOMParser().parseFromString(text, 'text/xml');
+		},
+
+		// Direct children of `node` with the given qualified name (e.g. 'itunes:image')
+		children: function(node, name) {
+			var
+				result = [],
+				child = node.firstChild;
+
+			for (; child; child = child.nextSibling) {
+				if (child.nodeType === 1 && child.nodeName === name) {
+					result.push(child);
+				}
+			}
+
+			return result;
+		},
+
+		childText: function(node, name) {
+			var child = mejs.PlaylistFormatParser.children(node, name)[0];
+
+			return child ? $.trim(child.textContent || child.text || '') : '';
+		},
+
+		resolveUrl: function(src, base) {
+			if (!src || !base || /^([a-z][a-z0-9+.\-]*:|\/)/i.test(src)) {
+				return src;
+			}
+			return base.split(/[?#]/)[0].replace(/[^\/]*$/, '') + src;
+		},
+
+		m3u: {
+			types: ['audio/x-mpegurl', 'audio/mpegurl', 'application/x-mpegurl', 'application/vnd.apple.mpegurl'],
+			extensions: ['m3u', 'm3u8'],
+
+			test: function(text) {
+				return text.indexOf('#EXTM3U') === 0;
+			},
+
+			parse: function(text, url) {
+				var
+					lines = text.split(/\r?\n/),
+					items = [],
+					info = null,
+					line,
+					i;
+
+				// a HLS manifest is a single stream, not a list of items
+				if (/^#EXT-X-(TARGETDURATION|STREAM-INF|MEDIA-SEQUENCE)/m.test(text)) {
+					return [{src: [{src: url, type: 'application/x-mpegURL'}], title: ''}];
+				}
+
+				for (i = 0; i < lines.length; i++) {
+					line = $.trim(lines[i]);
+
+					if (line.indexOf('#EXTINF:') === 0) {
+						info = /^#EXTINF:\s*(-?[0-9.]+)[^,]*,?(.*)$/.exec(line);
+					} else if (line !== '' && line.charAt(0) !== '#') {
+						items.push(mejs.PlaylistFormatParser.m3u.item(mejs.PlaylistFormatParser.resolveUrl(line, url), info));
+						info = null;
+					}
+				}
+
+				return items;
+			},
+
+			item: function(src, info) {
+				var
+					item = {src: src, title: '', artist: '', duration: 0},
+					title,
+					separator;
+
+				if (info) {
+					item.duration = parseFloat(info[1]) > 0 ? parseFloat(info[1]) : 0;
+					title = $.trim(info[2]);
+					separator = title.indexOf(' - ');
+
+					// "Artist - Title" is the usual convention
+					if (separator > -1) {
+						item.artist = title.substring(0, separator);
+						item.title = title.substring(separator + 3);
+					} else {
+						item.title = title;
+					}
+				}
+
+				return item;
+			}
+		},
+
+		xspf: {
+			types: ['application/xspf+xml'],
+			extensions: ['xspf'],
+
+			test: function(text) {
+				return text.charAt(0) === '<' && /<playlist[\s>]/.test(text);
+			},
+
+			parse: function(text, url) {
+				var
+					doc = mejs.PlaylistFormatParser.parseXML(text),
+					tracks = doc.getElementsByTagName('track'),
+					items = [],
+					value = function(node, name) {
+						var child = node.getElementsByTagName(name)[0];
+						return child ? $.trim(child.textContent || child.text || '') : '';
+					},
+					i;
+
+				for (i = 0; i < tracks.length; i++) {
+					if (value(tracks[i], 'location') === '') {
+						continue;
+					}
+
+					items.push({
+						src: mejs.PlaylistFormatParser.resolveUrl(value(tracks[i], 'location'), url),
+						title: value(tracks[i], 'title'),
+						artist: value(tracks[i], 'creator'),
+						album: value(tracks[i], 'album'),
+						poster: mejs.PlaylistFormatParser.resolveUrl(value(tracks[i], 'image'), url),
+						duration: parseInt(value(tracks[i], 'duration'), 10) / 1000 || 0
+					});
+				}
+
+				return items;
+			}
+		},
+
+		/*
+		Podcast RSS 2.0 and Atom feeds. Every episode with an enclosure becomes an item with its
+		title, author, artwork (itunes:image), duration (itunes:duration) and publish date.
+		Podcasting 2.0 <podcast:chapters> and <podcast:transcript> links are added to the item
+		as `chapters` and `subtitles` tracks.
+		*/
+		rss: {
+			types: ['application/rss+xml', 'application/atom+xml'],
+			extensions: ['rss', 'atom'],
+
+			test: function(text) {
+				return text.charAt(0) === '<' && /<(rss|feed)[\s>]/.test(text);
+			},
+
+			// preferred transcript formats, in order; the others cannot be shown as captions
+			transcriptTypes: ['text/vtt', 'application/x-subrip', 'application/srt', 'application/json'],
+
+			parse: function(text, url) {
+				var
+					p = mejs.PlaylistFormatParser,
+					doc = p.parseXML(text),
+					root = doc.documentElement,
+					isAtom = root.nodeName === 'feed',
+					channel = isAtom ? root : p.children(root, 'channel')[0],
+					entries,
+					items = [],
+					item,
+					i;
+
+				if (!channel) {
+					return items;
+				}
+
+				entries = p.children(channel, isAtom ? 'entry' : 'item');
+
+				for (i = 0; i < entries.length; i++) {
+					item = p.rss.item(entries[i], channel, isAtom, url);
+					if (item) {
+						items.push(item);
+					}
+				}
+
+				return items;
+			},
+
+			item: function(entry, channel, isAtom, url) {
+				var
+					p = mejs.PlaylistFormatParser,
+					enclosure = null,
+					links,
+					image,
+					duration = p.childText(entry, 'itunes:duration'),
+					language = p.childText(channel, 'language').toLowerCase(),
+					published = p.childText(entry, isAtom ? 'published' : 'pubDate') || p.childText(entry, 'updated'),
+					tracks = [],
+					transcripts,
+					transcript = null,
+					chapters,
+					i;
+
+				if (isAtom) {
+					links = p.children(entry, 'link');
+					for (i = 0; i < links.length; i++) {
+						if (links[i].getAttribute('rel') === 'enclosure') {
+							enclosure = {src: links[i].getAttribute('href'), type: links[i].getAttribute('type')};
+							break;
+						}
+					}
+				} else if (p.children(entry, 'enclosure').length) {
+					enclosure = p.children(entry, 'enclosure')[0];
+					enclosure = {src: enclosure.getAttribute('url'), type: enclosure.getAttribute('type')};
+				}
+
+				if (!enclosure || !enclosure.src) {
+					return null;
+				}
+
+				// episode artwork, falling back to the show artwork
+				image = p.children(entry, 'itunes:image')[0] || p.children(channel, 'itunes:image')[0];
+
+				chapters = p.children(entry, 'podcast:chapters')[0];
+				if (chapters) {
+					tracks.push({
+						src: p.resolveUrl(chapters.getAttribute('url'), url),
+						type: chapters.getAttribute('type') || 'application/json+chapters',
+						kind: 'chapters',
+						srclang: language
+					});
+				}
+
+				transcripts = p.children(entry, 'podcast:transcript');
+				for (i = 0; i < transcripts.length; i++) {
+					if ($.inArray(transcripts[i].getAttribute('type'), p.rss.transcriptTypes) > -1 &&
+						(!transcript || $.inArray(transcripts[i].getAttribute('type'), p.rss.transcriptTypes) < $.inArray(transcript.getAttribute('type'), p.rss.transcriptTypes))) {
+						transcript = transcripts[i];
+					}
+				}
+				if (transcript) {
+					tracks.push({
+						src: p.resolveUrl(transcript.getAttribute('url'), url),
+						type: transcript.getAttribute('type'),
+						kind: transcript.getAttribute('rel') === 'captions' ? 'captions' : 'subtitles',
+						srclang: (transcript.getAttribute('language') || language).toLowerCase()
+					});
+				}
+
+				return {
+					src: [{src: p.resolveUrl(enclosure.src, url), type: enclosure.type || ''}],
+					title: p.childText(entry, 'title'),
+					artist: p.childText(entry, 'itunes:author') || p.childText(channel, 'itunes:author'),
+					album: p.childText(channel, 'title'),
+					poster: image ? p.resolveUrl(image.getAttribute('href'), url) : '',
+					duration: duration ? mejs.Utility.convertSMPTEtoSeconds(duration) || 0 : 0,
+					date: published ? new Date(published) : null,
+					tracks: tracks
+				};
+			}
+		},
+
+		json: {
+			types: ['application/json'],
+			extensions: ['json'],
+
+			test: function(text) {
+				return text.charAt(0) === '{' || text.charAt(0) === '[';
+			},
+
+			parse: function(text, url) {
+				var
+					data = $.parseJSON(text),
+					items = $.isArray(data) ? data : (data.items || []),
+					resolve = mejs.PlaylistFormatParser.resolveUrl,
+					list = [],
+					item,
+					i,
+					j;
+
+				for (i = 0; i < items.length; i++) {
+					item = items[i];
+
+					// nothing to play
+					if (!item || !item.src || !item.src.length) {
+						continue;
+					}
+
+					if (item.type && typeof item.src == 'string') {
+						item.src = [{src: item.src, type: item.type}];
+					}
+
+					if (typeof item.src == 'string') {
+						item.src = resolve(item.src, url);
+					} else if (item.src) {
+						for (j = 0; j < item.src.length; j++) {
+							item.src[j].src = resolve(item.src[j].src, url);
+						}
+					}
+
+					item.poster = resolve(item.poster, url);
+
+					for (j = 0; item.tracks && j < item.tracks.length; j++) {
+						item.tracks[j].src = resolve(item.tracks[j].src, url);
+					}
+
+					list.push(item);
+				}
+
+				return list;
+			}
+		}
+	};
+
 })(mejs.$);
@@ -1,9 +1,137 @@
 (function($) {
 
+	// caption appearance choices; an empty value keeps the look from the stylesheet
+	var captionStyleFields = [
+		{name: 'fontFamily', label: 'font', values: ['', 'proportionalSansSerif', 'monospaceSansSerif', 'proportionalSerif', 'monospaceSerif', 'casual', 'script', 'smallCaps']},
+		{name: 'fontSize', label: 'size', values: ['', '50', '75', '125', '150', '200', '300']},
+		{name: 'color', label: 'color', values: ['', 'white', 'yellow', 'green', 'cyan', 'blue', 'magenta', 'red', 'black']},
+		{name: 'opacity', label: 'opacity', values: ['', '100', '75', '50', '25']},
+		{name: 'backgroundColor', label: 'background', values: ['', 'black', 'white', 'yellow', 'green', 'cyan', 'blue', 'magenta', 'red']},
+		{name: 'backgroundOpacity', label: 'background-opacity', values: ['', '100', '75', '50', '25', '0']},
+		{name: 'windowColor', label: 'window', values: ['', 'black', 'white', 'yellow', 'green', 'cyan', 'blue', 'magenta', 'red']},
+		{name: 'windowOpacity', label: 'window-opacity', values: ['', '100', '75', '50', '25', '0']},
+		{name: 'edgeStyle', label: 'edge', values: ['', 'dropshadow', 'outline', 'raised', 'depressed']}
+	],
+	captionColors = {white: '255,255,255', yellow: '255,255,0', green: '0,255,0', cyan: '0,255,255', blue: '0,0,255', magenta: '255,0,255', red: '255,0,0', black: '0,0,0'},
+	captionFonts = {
+		proportionalSansSerif: 'Arial, Helvetica, sans-serif',
+		monospaceSansSerif: '"Andale Mono", "Lucida Console", monospace',
+		proportionalSerif: 'Georgia, "Times New Roman", serif',
+		monospaceSerif: '"Courier New", monospace',
+		casual: '"Comic Sans MS", Impact, fantasy',
+		script: '"Monotype Corsiva", cursive',
+		smallCaps: 'Arial, Helvetica, sans-serif'
+	},
+	captionEdges = {
+		dropshadow: '2px 2px 3px #222, 2px 2px 4px #222, 2px 2px 5px #222',
+		outline: '0 0 2px #222, 0 0 2px #222, 0 0 2px #222, 0 0 2px #222',
+		raised: '1px 1px #222, 2px 2px #222, 3px 3px #222',
+		depressed: '1px 1px #ccc, 0 1px #ccc, -1px -1px #222, 0 -1px #222'
+	};
+
+	// The first subtitles or captions track in the first of these languages that has one: the same language
+	// ("pt-br"), then the language without its region ("pt"), then the same language for another region ("pt-pt")
+	function matchTrack(tracks, languages, preferCaptions) {
+		var
+			primary = function(lang) {
+				return lang.toLowerCase().split('-')[0];
+			},
+			tests = [
+				function(lang, language) { return lang === language; },
+				function(lang, language) { return lang === primary(language); },
+				function(lang, language) { return primary(lang) === primary(language); }
+			],
+			found,
+			i,
+			j,
+			k;
+
+		for (i = 0; i < languages.length; i++) {
+			for (j = 0; j < tests.length; j++) {
+				found = null;
+
+				for (k = 0; k < tracks.length; k++) {
+					if (tests[j](tracks[k].srclang.toLowerCase(), languages[i].toLowerCase()) &&
+							(!found || (preferCaptions && found.kind !== 'captions' && tracks[k].kind === 'captions'))) {
+						found = tracks[k];
+					}
+				}
+
+				if (found) {
+					return found;
+				}
+			}
+		}
+
+		return null;
+	}
+
+	// Lower case, without accents, with the position in the original text of every character,
+	// so matches found in the folded text can be highlighted in the original one
+	function foldText(text) {
+		var
+			folded = {text: '', map: []},
+			character,
+			i,
+			j;
+
+		for (i = 0; i < text.length; i++) {
+			character = text.charAt(i).toLowerCase();
+			if (character.normalize) {
+				character = character.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+			}
+			for (j = 0; j < character.length; j++) {
+				folded.text += character.charAt(j);
+				folded.map.push(i);
+			}
+		}
+
+		return folded;
+	}
+
+	// The WebVTT settings of a native cue ("line:90% align:start"), as the parser would read them from a file
+	function cueSettingsText(cue) {
+		var settings = [];
+
+		if (cue.vertical) {
+			settings.push('vertical:' + cue.vertical);
+		}
+		if (typeof cue.line === 'number') {
+			settings.push('line:' + cue.line + (cue.snapToLines ? '' : '%') + (cue.lineAlign && cue.lineAlign !== 'start' ? ',' + cue.lineAlign : ''));
+		}
+		if (typeof cue.position === 'number') {
+			settings.push('position:' + cue.position + '%' + (cue.positionAlign && cue.positionAlign !== 'auto' ? ',' + cue.positionAlign : ''));
+		}
+		if (typeof cue.size === 'number' && cue.size !== 100) {
+			settings.push('size:' + cue.size + '%');
+		}
+		if (cue.align && cue.align !== 'center') {
+			settings.push('align:' + cue.align);
+		}
+
+		return settings.join(' ');
+	}
+
 	// add extra default options
 	$.extend(mejs.MepDefaults, {
 		// this will automatically turn on a <track>
 		startLanguage: '',
+		// What else turns captions on when there is no saved choice of the viewer nor startLanguage (opt-in):
+		// 'none': nothing; 'default': a <track default>; 'foreign': the viewer's language when the media is in
+		// a language they don't list (see mediaLanguage), or else a <track default>; 'always': the viewer's
+		// language, preferring kind="captions" for deaf and hard-of-hearing viewers, or else any track
+		captionSelection: 'none',
+		// Languages of the viewer, best first; if empty, those of the browser and of mejs.i18n
+		captionLanguages: [],
+		// Language spoken in the media, for 'foreign'; if empty, the lang attribute of the <video>
+		mediaLanguage: '',
+		// localStorage key where the captions the viewer picks are remembered, e.g. 'mejs.captionLanguage';
+		// '' to not remember them
+		captionLanguageStorageKey: '',
+		// a second <track> shown below the first one, e.g. for language learners
+		startSecondaryLanguage: '',
+		// let viewers pick a second track in the captions menu when there are several
+		enableSecondaryTrack: false,
 
 		tracksText: '',
 
@@ -14,35 +142,91 @@
 		// option to remove the [cc] button when no <track kind="subtitles"> are present
 		hideCaptionsButtonWhenEmpty: true,
 
+		// Also list the subtitles and captions the browser finds in the media (HLS, CEA-608) or that scripts
+		// add with addTextTrack(), and show them like the <track> ones
+		nativeTextTracks: false,
+
 		// If true and we only have one track, change captions to popup
 		toggleCaptionsButtonWhenOnlyOne: false,
 
 		// #id or .class
-		slidesSelector: ''
+		slidesSelector: '',
+		// Number of upcoming slide images to load ahead of time
+		slidesPreload: 2,
+		// How a slide replaces the previous one: 'fade', 'slide' or 'none'
+		slidesTransition: 'fade',
+		// Length of the transition, in milliseconds
+		slidesTransitionDuration: 400,
+		// Show a strip of slide thumbnails to jump through the talk
+		slidesStrip: true,
+
+		chaptersText: '',
+
+		// Parse the text of <track kind="metadata"> cues as JSON (cue.data); cues that aren't JSON keep data null
+		metadataCueJSON: false,
+
+		// Caption appearance used until the viewer picks their own, e.g. {fontSize: '125', edgeStyle: 'outline'};
+		// see captionStyleFields for the accepted values
+		captionStyle: {},
+		// localStorage key where the viewer's choices are kept; '' to not remember them
+		captionStyleStorageKey: 'mejs.captionStyle',
+		captionSettingsText: '',
+
+		// Formats the selected track can be downloaded in from the captions menu, e.g. ['webvtt', 'srt', 'dfxp']; [] for none
+		captionDownloadFormats: [],
+
+		// Seconds the caption delay changes by with the captions menu buttons and the G and H keys
+		captionOffsetStep: 0.1
 	});
 
 	$.extend(MediaElementPlayer.prototype, {
 
 		hasChapters: false,
 
+		// chapters track of the chapter menu and rail, and index of the current chapter
+		chaptersTrack: null,
+
+		chapterIndex: null,
+
+		// set once the chapter keys, tooltip and timeupdate listener are bound
+		chapterNavigationBound: false,
+
 		cleartracks: function(player, controls, layers, media){
 			if(player) {
 				if(player.captions) player.captions.remove();
 				if(player.chapters) player.chapters.remove();
 				if(player.captionsText) player.captionsText.remove();
 				if(player.captionsButton) player.captionsButton.remove();
+				if(player.captionSettings) player.captionSettings.remove();
+				if(player.chaptersButton) player.chaptersButton.remove();
+				if(player.chapterTitle) player.chapterTitle.remove();
+				if(player.chapterRail) player.chapterRail.remove();
+				if(player.slidesStage) player.slidesStage.remove();
+				if(player.slidesTitle) player.slidesTitle.remove();
+				if(player.slidesNotes) player.slidesNotes.remove();
+				if(player.slidesStrip) player.slidesStrip.remove();
+				player.slides = null;
+				player.chaptersTrack = null;
+				if(player.metadataScheduled) {
+					while (player.metadataScheduled.length) {
+						player.removeCue(player.metadataScheduled.pop());
+					}
+				}
 			}
 		},
 		buildtracks: function(player, controls, layers, media) {
-			if (player.tracks.length === 0)
+			// without <track> elements, tracks may still come with the media
+			if (player.tracks.length === 0 && !(player.options.nativeTextTracks && media.pluginType === 'native' && player.domNode.textTracks))
 				return;
 
 			var t = this,
 				attr = t.options.tracksAriaLive ?
 					'role="log" aria-live="assertive" aria-atomic="false"' : '',
 				tracksTitle = t.options.tracksText ? t.options.tracksText : mejs.i18n.t('mejs.captions-subtitles'),
+				settingsTitle = t.options.captionSettingsText ? t.options.captionSettingsText : mejs.i18n.t('mejs.caption-settings'),
 				i,
-				kind;
+				kind,
+				format;
 
 			if (t.domNode.textTracks) { // if browser will do native captions, prefer mejs captions, loop through tracks and hide
 				for (i = t.domNode.textTracks.length - 1; i >= 0; i--) {
@@ -55,9 +239,15 @@
 						.prependTo(layers).hide();
 			player.captions =
 					$('<div class="mejs-captions-layer mejs-layer"><div class="mejs-captions-position mejs-captions-position-hover" ' +
-					attr + '><span class="mejs-captions-text"></span></div></div>')
+					attr + '><span class="mejs-captions-text"></span>' +
+					'<div class="mejs-captions-secondary"><span class="mejs-captions-text"></span></div></div>' +
+					// cues placed with line, vertical or region settings
+					'<div class="mejs-captions-cues"></div><style></style></div>')
 						.prependTo(layers).hide();
-			player.captionsText = player.captions.find('.mejs-captions-text');
+			player.captionsText = player.captions.find('.mejs-captions-text').first();
+			player.captionsSecondary = player.captions.find('.mejs-captions-secondary').hide();
+			player.captionsCues = player.captions.find('.mejs-captions-cues');
+			player.captionsShown = null;
 			player.captionsButton =
 					$('<div class="mejs-button mejs-captions-button">'+
 						'<button type="button" aria-controls="' + t.id + '" title="' + tracksTitle + '" aria-label="' + tracksTitle + '"></button>'+
@@ -68,10 +258,33 @@
 									'<label for="' + player.id + '_captions_none">' + mejs.i18n.t('mejs.none') +'</label>'+
 								'</li>'	+
 							'</ul>'+
+							'<div class="mejs-captions-secondary-selector">'+
+								'<span class="mejs-captions-secondary-title">' + mejs.i18n.t('mejs.captions-secondary') + '</span>'+
+								'<ul>'+
+									'<li>'+
+										'<input type="radio" name="' + player.id + '_captions_secondary" id="' + player.id + '_captions_secondary_none" value="none" checked="checked" />' +
+										'<label for="' + player.id + '_captions_secondary_none">' + mejs.i18n.t('mejs.none') +'</label>'+
+									'</li>'+
+								'</ul>'+
+							'</div>'+
+							'<button type="button" class="mejs-captions-settings-button">' + settingsTitle + '</button>'+
+							'<div class="mejs-captions-offset" role="group" aria-label="' + mejs.i18n.t('mejs.captions-offset') + '">'+
+								'<span class="mejs-captions-offset-title">' + mejs.i18n.t('mejs.captions-offset') + '</span>'+
+								'<button type="button" class="mejs-captions-offset-earlier" title="' + mejs.i18n.t('mejs.captions-offset-earlier') + '" aria-label="' + mejs.i18n.t('mejs.captions-offset-earlier') + '">&minus;</button>'+
+								'<button type="button" class="mejs-captions-offset-value" title="' + mejs.i18n.t('mejs.captions-offset-reset') + '" aria-live="polite"></button>'+
+								'<button type="button" class="mejs-captions-offset-later" title="' + mejs.i18n.t('mejs.captions-offset-later') + '" aria-label="' + mejs.i18n.t('mejs.captions-offset-later') + '">+</button>'+
+							'</div>'+
+							'<div class="mejs-captions-download" role="group" aria-label="' + mejs.i18n.t('mejs.captions-download') + '">'+
+								'<span class="mejs-captions-download-title">' + mejs.i18n.t('mejs.captions-download') + '</span>'+
+							'</div>'+
 						'</div>'+
 					'</div>')
 						.appendTo(controls);
 
+			player.setupCaptionSettings(settingsTitle);
+			player.setupCaptionOffset();
+			player.setupChapterNavigation();
+
 
 			var subtitleCount = 0;
 			for (i=0; i<player.tracks.length; i++) {
@@ -81,6 +294,25 @@
 				}
 			}
 
+			if (!t.options.enableSecondaryTrack || subtitleCount < 2) {
+				player.captionsButton.find('.mejs-captions-secondary-selector').remove();
+			}
+
+			for (i = 0; i < t.options.captionDownloadFormats.length; i++) {
+				format = mejs.TrackFormatParser.formatName(t.options.captionDownloadFormats[i]);
+				if (format && mejs.TrackFormatParser[format].serialize) {
+					player.captionsButton.find('.mejs-captions-download').append(
+						'<button type="button" class="mejs-captions-download-button" data-format="' + format + '">' + mejs.TrackFormatParser[format].label + '</button>'
+					);
+				}
+			}
+
+			// only once there is a track to download
+			player.captionsButton.find('.mejs-captions-download').hide().not(':has(button)').remove();
+			player.captionsButton.on('click', '.mejs-captions-download-button', function() {
+				player.downloadTrack(player.selectedTrack, $(this).attr('data-format'));
+			});
+
 			// if only one language then just make the button a toggle
 			if (t.options.toggleCaptionsButtonWhenOnlyOne && subtitleCount == 1){
 				// click
@@ -91,6 +323,7 @@
 						lang = 'none';
 					}
 					player.setTrack(lang);
+					player.saveCaptionLanguage(lang);
 				});
 			} else {
 				// hover or keyboard focus
@@ -101,7 +334,12 @@
 				// handle clicks to the language radio buttons
 				.on('click','input[type=radio]',function() {
 					lang = this.value;
-					player.setTrack(lang);
+					if ($(this).closest('.mejs-captions-secondary-selector').length) {
+						player.setSecondaryTrack(lang);
+					} else {
+						player.setTrack(lang);
+						player.saveCaptionLanguage(lang);
+					}
 				});
 
 				player.captionsButton.on( 'mouseleave focusout', function() {
@@ -110,27 +348,15 @@
 
 			}
 
-			if (!player.options.alwaysShowControls) {
-				// move with controls
-				player.container
-					.bind('controlsshown', function () {
-						// push captions above controls
-						player.container.find('.mejs-captions-position').addClass('mejs-captions-position-hover');
-
-					})
-					.bind('controlshidden', function () {
-						if (!media.paused) {
-							// move back to normal place
-							player.container.find('.mejs-captions-position').removeClass('mejs-captions-position-hover');
-						}
-					});
-			} else {
+			if (player.options.alwaysShowControls) {
 				player.container.find('.mejs-captions-position').addClass('mejs-captions-position-hover');
 			}
 
 			player.trackToLoad = -1;
 			player.selectedTrack = null;
+			player.selectedSecondaryTrack = null;
 			player.isLoadingTrack = false;
+			player.captionStartLanguage = player.chooseCaptionLanguage();
 
 			// add to list
 			for (i=0; i<player.tracks.length; i++) {
@@ -140,26 +366,100 @@
 				}
 			}
 
+			// until a track shows up
+			if (player.tracks.length === 0) {
+				player.captionsButton.hide();
+			}
+
 			// start loading tracks
 			player.loadNextTrack();
 
+			if (player.options.nativeTextTracks && media.pluginType === 'native' && player.domNode.textTracks) {
+				player.setupTextTracks();
+			}
+
+			if (player.options.slidesSelector !== '') {
+				player.slidesContainer = $(player.options.slidesSelector).first()
+					.addClass('mejs-slides mejs-slides-transition-' + player.options.slidesTransition);
+				player.slidesStage = $('<div class="mejs-slides-stage"></div>').appendTo(player.slidesContainer);
+				player.slidesTitle = $('<div class="mejs-slides-title"></div>').appendTo(player.slidesContainer).hide();
+				player.slidesNotes = $('<div class="mejs-slides-notes"></div>').appendTo(player.slidesContainer).hide();
+
+				if (player.options.slidesStrip) {
+					player.slidesStrip =
+						$('<ol class="mejs-slides-strip" aria-label="' + mejs.i18n.t('mejs.slides') + '"></ol>')
+							.appendTo(player.slidesContainer)
+							.on('click', '.mejs-slides-thumb', function() {
+								var index = parseInt($(this).attr('data-index'), 10);
+
+								media.setCurrentTime(player.slides.slides[index].start);
+								player.showSlide(index);
+							});
+				}
+			}
+
+			// check for autoplay
+			if (player.node.getAttribute('autoplay') !== null) {
+				player.chapters.addClass('mejs-offscreen');
+			}
+
+			player.bindTrackListeners(player, media);
+		},
+
+		// set once the media and container listeners are bound
+		trackListenersBound: false,
+
+		// The listeners outlive the tracks, which are rebuilt for each playlist item
+		bindTrackListeners: function(player, media) {
+			var t = this;
+
+			if (t.trackListenersBound) {
+				return;
+			}
+			t.trackListenersBound = true;
+
+			if (!player.options.alwaysShowControls) {
+				// move with controls
+				player.container
+					.bind('controlsshown', function () {
+						// push captions above controls
+						player.container.find('.mejs-captions-position').addClass('mejs-captions-position-hover');
+
+					})
+					.bind('controlshidden', function () {
+						if (!media.paused) {
+							// move back to normal place
+							player.container.find('.mejs-captions-position').removeClass('mejs-captions-position-hover');
+						}
+					});
+			}
+
 			media.addEventListener('timeupdate',function() {
+				player.updateTextTracks();
 				player.displayCaptions();
+				player.updateMetadataCues();
 			}, false);
 
-			if (player.options.slidesSelector !== '') {
-				player.slidesContainer = $(player.options.slidesSelector);
+			media.addEventListener('seeked',function() {
+				player.updateMetadataCues();
+			}, false);
 
+			if (player.options.slidesSelector !== '') {
 				media.addEventListener('timeupdate',function() {
 					player.displaySlides();
 				}, false);
-
 			}
 
 			media.addEventListener('loadedmetadata', function() {
 				player.displayChapters();
 			}, false);
 
+			media.addEventListener('play', function() {
+				if (media.duration > 0) {
+					player.displayChapters();
+				}
+			}, false);
+
 			player.container.hover(
 				function () {
 					// chapters
@@ -180,11 +480,6 @@
 			t.container.on('controlsresize', function() {
 				t.adjustLanguageBox();
 			});
-
-			// check for autoplay
-			if (player.node.getAttribute('autoplay') !== null) {
-				player.chapters.addClass('mejs-offscreen');
-			}
 		},
 
 		setTrack: function(lang){
@@ -207,6 +502,49 @@
 					}
 				}
 			}
+
+			t.captionsButton.find('.mejs-captions-download').toggle(t.selectedTrack !== null);
+			t.adjustLanguageBox();
+
+			t.container.trigger('trackchange', [t.selectedTrack]);
+		},
+
+		// Saves a loaded track, the selected one by default, as a file in one of the formats of mejs.TrackFormatParser.serialize()
+		downloadTrack: function(track, format) {
+			var
+				t = this,
+				p = mejs.TrackFormatParser,
+				name;
+
+			track = track || t.selectedTrack;
+			format = p.formatName(format || 'webvtt');
+
+			if (!track || !track.entries || !format || !p[format].serialize) {
+				return;
+			}
+
+			name = (track.src ? track.src.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]*$/, '') : '') || track.srclang || 'captions';
+
+			mejs.Utility.saveText(p.serialize(track.entries, format, {lang: track.srclang}), name + '.' + p[format].extensions[0], p[format].types[0]);
+		},
+
+		// Shows a second track below the selected one; 'none' hides it
+		setSecondaryTrack: function(lang) {
+			var
+				t = this,
+				i;
+
+			t.selectedSecondaryTrack = null;
+
+			for (i = 0; i < t.tracks.length; i++) {
+				if (lang !== 'none' && t.tracks[i].srclang == lang && (t.tracks[i].kind === 'subtitles' || t.tracks[i].kind === 'captions')) {
+					t.selectedSecondaryTrack = t.tracks[i];
+					break;
+				}
+			}
+
+			t.captionsButton.find('.mejs-captions-secondary-selector input[value=' + (t.selectedSecondaryTrack ? lang : 'none') + ']').prop('checked', true);
+			t.displayCaptions();
 		},
 
 		loadNextTrack: function() {
@@ -234,11 +572,30 @@
 
 					t.enableTrackButton(track.srclang, track.label);
 
+					t.container.trigger('trackloaded', [track]);
+
+					t.loadNextTrack();
+
+				},
+				// a file that can't be loaded or parsed: drop the track and go on with the next one
+				failed = function() {
+
+					t.tracks.splice(index, 1);
+					t.trackToLoad--;
+
+					t.removeTrackButton(track.srclang);
+
 					t.loadNextTrack();
 
 				};
 
 
+			// the browser loads the cues of its own tracks
+			if (track.textTrack) {
+				t.loadNextTrack();
+				return;
+			}
+
 			if (track.src !== undefined || track.src !== "") {
 				$.ajax({
 					url: track.src,
@@ -246,30 +603,25 @@
 					success: function(d) {
 
 						// parse the loaded file
-						if (typeof d == "string" && (/<tt\s+xml/ig).exec(d)) {
-							track.entries = mejs.TrackFormatParser.dfxp.parse(d);
-						} else {
-							track.entries = mejs.TrackFormatParser.webvtt.parse(d);
+						try {
+							track.entries = mejs.TrackFormatParser.parse(d, track.src, track.type);
+
+							if (track.kind == 'slides') {
+								t.setupSlides(track, d);
+							}
+						} catch (e) {
+							track.entries = null;
+							failed();
+							return;
 						}
 
 						after();
 
-						if (track.kind == 'chapters') {
-							t.media.addEventListener('play', function() {
-								if (t.media.duration > 0) {
-									t.displayChapters(track);
-								}
-							}, false);
-						}
-
-						if (track.kind == 'slides') {
-							t.setupSlides(track);
+						if (track.kind == 'metadata') {
+							t.setupMetadataTrack(track);
 						}
 					},
-					error: function() {
-						t.removeTrackButton(track.srclang);
-						t.loadNextTrack();
-					}
+					error: failed
 				});
 			}
 		},
@@ -288,13 +640,119 @@
 					.html( label );
 
 			// auto select
-			if (t.options.startLanguage == lang) {
-				$('#' + t.id + '_captions_' + lang).prop('checked', true).trigger('click');
+			if (t.captionStartLanguage == lang && !t.selectedTrack) {
+				$('#' + t.id + '_captions_' + lang).prop('checked', true);
+				t.setTrack(lang);
+			}
+			if (t.options.startSecondaryLanguage == lang) {
+				t.setSecondaryTrack(lang);
 			}
 
 			t.adjustLanguageBox();
 		},
 
+		/*
+		The srclang of the track to turn on when the player starts, or '' to leave captions off: the viewer's
+		saved choice comes first, then the `startLanguage` option, then what `captionSelection` asks for.
+		*/
+		chooseCaptionLanguage: function() {
+			var
+				t = this,
+				policy = t.options.captionSelection,
+				mediaLanguage = t.options.mediaLanguage || t.$media.attr('lang') || '',
+				tracks = [],
+				saved = null,
+				languages,
+				foreign,
+				track,
+				i;
+
+			for (i = 0; i < t.tracks.length; i++) {
+				if (t.tracks[i].kind === 'subtitles' || t.tracks[i].kind === 'captions') {
+					tracks.push(t.tracks[i]);
+				}
+			}
+
+			try {
+				saved = t.options.captionLanguageStorageKey && window.localStorage ?
+					window.localStorage.getItem(t.options.captionLanguageStorageKey) : null;
+			} catch (e) {
+				saved = null;
+			}
+
+			if (saved === 'none') {
+				return '';
+			}
+			if (saved && (track = matchTrack(tracks, [saved]))) {
+				return track.srclang;
+			}
+			if (t.options.startLanguage) {
+				return t.options.startLanguage;
+			}
+
+			languages = t.getCaptionLanguages();
+
+			if (policy === 'foreign' && mediaLanguage) {
+				foreign = !matchTrack([{srclang: mediaLanguage}], languages);
+			}
+
+			if (policy === 'always' || foreign) {
+				track = matchTrack(tracks, languages, policy === 'always');
+				if (track) {
+					return track.srclang;
+				}
+			}
+
+			if (policy !== 'none') {
+				for (i = 0; i < tracks.length; i++) {
+					if (tracks[i].isDefault) {
+						return tracks[i].srclang;
+					}
+				}
+			}
+
+			if (policy === 'always' && tracks.length) {
+				return (matchTrack(tracks, [tracks[0].srclang], true) || tracks[0]).srclang;
+			}
+
+			return '';
+		},
+
+		// The viewer's languages, best first
+		getCaptionLanguages: function() {
+			var
+				t = this,
+				nav = window.navigator,
+				candidates = t.options.captionLanguages.length ? t.options.captionLanguages :
+					(nav.languages && nav.languages.length ? $.makeArray(nav.languages) : [nav.language || nav.userLanguage])
+						.concat(mejs.i18n && mejs.i18n.locale ? [mejs.i18n.locale.language] : []),
+				languages = [],
+				i;
+
+			for (i = 0; i < candidates.length; i++) {
+				if (candidates[i] && $.inArray(candidates[i].toLowerCase(), languages) === -1) {
+					languages.push(candidates[i].toLowerCase());
+				}
+			}
+
+			return languages;
+		},
+
+		// Remembers the captions the viewer picked ('none' for none) for the next videos
+		saveCaptionLanguage: function(lang) {
+			var t = this;
+
+			t.captionsChosen = true;
+
+			try {
+				if (t.options.captionLanguageStorageKey && window.localStorage) {
+					window.localStorage.setItem(t.options.captionLanguageStorageKey, lang);
+				}
+			} catch (e) {
+				// private browsing
+			}
+		},
+
 		removeTrackButton: function(lang) {
 			var t = this;
 
@@ -309,13 +767,20 @@
 				label = mejs.language.codes[lang] || lang;
 			}
 
-			t.captionsButton.find('ul').append(
+			t.captionsButton.find('.mejs-captions-selector > ul').append(
 				$('<li>'+
 					'<input type="radio" name="' + t.id + '_captions" id="' + t.id + '_captions_' + lang + '" value="' + lang + '" disabled="disabled" />' +
 					'<label for="' + t.id + '_captions_' + lang + '">' + label + ' (loading)' + '</label>'+
 				'</li>')
 			);
 
+			t.captionsButton.find('.mejs-captions-secondary-selector ul').append(
+				$('<li>'+
+					'<input type="radio" name="' + t.id + '_captions_secondary" id="' + t.id + '_captions_secondary_' + lang + '" value="' + lang + '" disabled="disabled" />' +
+					'<label for="' + t.id + '_captions_secondary_' + lang + '">' + label + ' (loading)' + '</label>'+
+				'</li>')
+			);
+
 			t.adjustLanguageBox();
 
 			// remove this from the dropdownlist (if it exists)
@@ -327,355 +792,2935 @@
 			// adjust the size of the outer box
 			t.captionsButton.find('.mejs-captions-selector').height(
 				t.captionsButton.find('.mejs-captions-selector ul').outerHeight(true) +
-				t.captionsButton.find('.mejs-captions-translations').outerHeight(true)
+				t.captionsButton.find('.mejs-captions-translations').outerHeight(true) +
+				t.captionsButton.find('.mejs-captions-secondary-selector').outerHeight(true) +
+				t.captionsButton.find('.mejs-captions-settings-button').outerHeight(true) +
+				t.captionsButton.find('.mejs-captions-offset').outerHeight(true) +
+				t.captionsButton.find('.mejs-captions-download').outerHeight(true)
 			);
 		},
 
-		checkForTracks: function() {
+		setupCaptionSettings: function(settingsTitle) {
 			var
 				t = this,
-				hasSubtitles = false;
-
-			// check if any subtitles
-			if (t.options.hideCaptionsButtonWhenEmpty) {
-				for (var i=0; i<t.tracks.length; i++) {
-					var kind = t.tracks[i].kind;
-					if ((kind === 'subtitles' || kind === 'captions') && t.tracks[i].isLoaded) {
-						hasSubtitles = true;
-						break;
-					}
-				}
-
-				if (!hasSubtitles) {
-					t.captionsButton.hide();
-					t.setControlsSize();
+				form,
+				field,
+				stored,
+				i,
+				j;
+
+			t.captionSettings =
+				$('<div class="mejs-captions-settings mejs-layer" role="dialog" aria-label="' + settingsTitle + '">' +
+					'<style></style>' +
+					'<div class="mejs-captions-settings-form"></div>' +
+					'<div class="mejs-captions-settings-preview"><span class="mejs-captions-text">' + mejs.i18n.t('mejs.caption-preview') + '</span></div>' +
+					'<div class="mejs-captions-settings-actions">' +
+						'<button type="button" class="mejs-captions-settings-reset">' + mejs.i18n.t('mejs.caption-reset') + '</button>' +
+						'<button type="button" class="mejs-captions-settings-done">' + mejs.i18n.t('mejs.close') + '</button>' +
+					'</div>' +
+				'</div>')
+				.appendTo(t.layers)
+				.hide();
+
+			form = t.captionSettings.find('.mejs-captions-settings-form');
+
+			for (i = 0; i < captionStyleFields.length; i++) {
+				field = captionStyleFields[i];
+				form.append(
+					'<label for="' + t.id + '_caption_' + field.name + '">' + mejs.i18n.t('mejs.caption-' + field.label) + '</label>' +
+					'<select id="' + t.id + '_caption_' + field.name + '" data-field="' + field.name + '"></select>'
+				);
+
+				for (j = 0; j < field.values.length; j++) {
+					form.find('select').last().append('<option value="' + field.values[j] + '">' + t.getCaptionStyleLabel(field, field.values[j]) + '</option>');
 				}
 			}
-		},
-
-		displayCaptions: function() {
 
-			if (typeof this.tracks == 'undefined')
-				return;
+			t.captionsButton.on('click', '.mejs-captions-settings-button', function() {
+				t.showCaptionSettings();
+			});
 
-			var
-				t = this,
-				i,
-				track = t.selectedTrack;
+			t.captionSettings
+				.on('change', 'select', function() {
+					var style = {};
 
-			if (track !== null && track.isLoaded) {
-				for (i=0; i<track.entries.times.length; i++) {
-					if (t.media.currentTime >= track.entries.times[i].start && t.media.currentTime <= track.entries.times[i].stop) {
-						// Set the line before the timecode as a class so the cue can be targeted if needed
-						t.captionsText.html(track.entries.text[i]).attr('class', 'mejs-captions-text ' + (track.entries.times[i].identifier || ''));
-						t.captions.show().height(0);
-						return; // exit out if one is visible;
+					style[$(this).attr('data-field')] = this.value;
+					t.setCaptionStyle(style);
+				})
+				.on('click', '.mejs-captions-settings-reset', function() {
+					t.resetCaptionStyle();
+				})
+				.on('click', '.mejs-captions-settings-done', function() {
+					t.hideCaptionSettings();
+				})
+				.on('keydown', function(e) {
+					// esc
+					if (e.keyCode === 27) {
+						t.hideCaptionSettings();
+						return false;
 					}
-				}
-				t.captions.hide();
-			} else {
-				t.captions.hide();
-			}
-		},
-
-		setupSlides: function(track) {
-			var t = this;
+					// don't let the player shortcuts handle keys meant for the form
+					e.stopPropagation();
+				});
 
-			t.slides = track;
-			t.slides.entries.imgs = [t.slides.entries.text.length];
-			t.showSlide(0);
+			// the viewer's own choices win over the defaults of the page
+			try {
+				stored = t.options.captionStyleStorageKey && window.localStorage ?
+					JSON.parse(window.localStorage.getItem(t.options.captionStyleStorageKey) || '{}') : {};
+			} catch (e) {
+				stored = {};
+			}
 
+			t.captionStyle = {};
+			t.applyCaptionStyle($.extend({}, t.options.captionStyle, stored));
 		},
 
-		showSlide: function(index) {
-			if (typeof this.tracks == 'undefined' || typeof this.slidesContainer == 'undefined') {
-				return;
+		getCaptionStyleLabel: function(field, value) {
+			if (value === '') {
+				return mejs.i18n.t('mejs.caption-default');
 			}
 
-			var t = this,
-				url = t.slides.entries.text[index],
-				img = t.slides.entries.imgs[index];
-
-			if (typeof img == 'undefined' || typeof img.fadeIn == 'undefined') {
-
-				t.slides.entries.imgs[index] = img = $('<img src="' + url + '">')
-						.on('load', function() {
-							img.appendTo(t.slidesContainer)
-								.hide()
-								.fadeIn()
-								.siblings(':visible')
-									.fadeOut();
-
-						});
+			switch (field.name) {
+				case 'fontFamily':
+				case 'edgeStyle':
+					return mejs.i18n.t('mejs.caption-' + value.replace(/[A-Z]/g, function(letter) { return '-' + letter.toLowerCase(); }));
+				case 'color':
+				case 'backgroundColor':
+				case 'windowColor':
+					return mejs.i18n.t('mejs.color-' + value);
+				default:
+					return value + '%';
+			}
+		},
 
-			} else {
+		// Changes one or more caption appearance settings and remembers them,
+		// e.g. player.setCaptionStyle({color: 'yellow', backgroundOpacity: '0', edgeStyle: 'outline'})
+		setCaptionStyle: function(style) {
+			var t = this;
 
-				if (!img.is(':visible') && !img.is(':animated')) {
+			if (!t.captionSettings) {
+				return;
+			}
 
-					//console.log('showing existing slide');
+			t.applyCaptionStyle($.extend({}, t.captionStyle, style));
 
-					img.fadeIn()
-						.siblings(':visible')
-							.fadeOut();
+			try {
+				if (t.options.captionStyleStorageKey && window.localStorage) {
+					window.localStorage.setItem(t.options.captionStyleStorageKey, JSON.stringify(t.captionStyle));
 				}
+			} catch (e) {
+				// private browsing or storage turned off: the choice lasts until the page is left
 			}
 
+			t.container.trigger('captionstylechange', [t.captionStyle]);
 		},
 
-		displaySlides: function() {
-
-			if (typeof this.slides == 'undefined')
-				return;
-
+		resetCaptionStyle: function() {
 			var
 				t = this,
-				slides = t.slides,
+				style = {},
 				i;
 
-			for (i=0; i<slides.entries.times.length; i++) {
-				if (t.media.currentTime >= slides.entries.times[i].start && t.media.currentTime <= slides.entries.times[i].stop){
+			if (!t.captionSettings) {
+				return;
+			}
 
-					t.showSlide(i);
+			for (i = 0; i < captionStyleFields.length; i++) {
+				style[captionStyleFields[i].name] = '';
+			}
 
-					return; // exit out if one is visible;
+			// forget the viewer's choices so later changes to the page defaults apply again
+			try {
+				if (t.options.captionStyleStorageKey && window.localStorage) {
+					window.localStorage.removeItem(t.options.captionStyleStorageKey);
 				}
-			}
+			} catch (e) {}
+
+			t.applyCaptionStyle($.extend(style, t.options.captionStyle));
+			t.container.trigger('captionstylechange', [t.captionStyle]);
 		},
 
-		displayChapters: function() {
+		applyCaptionStyle: function(style) {
 			var
 				t = this,
+				text = [],
+				color,
 				i;
 
-			for (i=0; i<t.tracks.length; i++) {
-				if (t.tracks[i].kind == 'chapters' && t.tracks[i].isLoaded) {
-					t.drawChapters(t.tracks[i]);
-					t.hasChapters = true;
+			t.captionStyle = {};
+
+			for (i = 0; i < captionStyleFields.length; i++) {
+				// ignore values the panel doesn't offer
+				t.captionStyle[captionStyleFields[i].name] = $.inArray(String(style[captionStyleFields[i].name] || ''), captionStyleFields[i].values) > -1 ?
+					String(style[captionStyleFields[i].name] || '') : '';
+
+				t.captionSettings.find('select[data-field="' + captionStyleFields[i].name + '"]').val(t.captionStyle[captionStyleFields[i].name]);
+			}
+
+			style = t.captionStyle;
+
+			if (style.fontFamily) {
+				text.push('font-family: ' + captionFonts[style.fontFamily]);
+				text.push('font-variant: ' + (style.fontFamily === 'smallCaps' ? 'small-caps' : 'normal'));
+			}
+			if (style.fontSize) {
+				text.push('font-size: ' + style.fontSize + '%');
+				text.push('line-height: 1.25');
+			}
+			if (style.color || style.opacity) {
+				text.push('color: rgba(' + captionColors[style.color || 'white'] + ',' + (style.opacity || 100) / 100 + ')');
+			}
+			if (style.backgroundColor || style.backgroundOpacity) {
+				color = 'rgba(' + captionColors[style.backgroundColor || 'black'] + ',' + (style.backgroundOpacity || 50) / 100 + ')';
+				text.push('background: ' + color);
+			} else {
+				color = 'rgba(20, 20, 20, 0.5)';
+			}
+			if (style.windowColor || style.windowOpacity) {
+				// the window is drawn around every line, so the lines join into one box
+				text.push('-webkit-box-decoration-break: clone');
+				text.push('box-decoration-break: clone');
+				text.push('-webkit-box-shadow: 5px 0 0 ' + color + ', -5px 0 0 ' + color + ', 0 0 0 .3em rgba(' + captionColors[style.windowColor || 'black'] + ',' + (style.windowOpacity || 100) / 100 + ')');
+				text.push('box-shadow: 5px 0 0 ' + color + ', -5px 0 0 ' + color + ', 0 0 0 .3em rgba(' + captionColors[style.windowColor || 'black'] + ',' + (style.windowOpacity || 100) / 100 + ')');
+			} else if (style.backgroundColor || style.backgroundOpacity) {
+				text.push('-webkit-box-shadow: 5px 0 0 ' + color + ', -5px 0 0 ' + color);
+				text.push('box-shadow: 5px 0 0 ' + color + ', -5px 0 0 ' + color);
+			}
+			if (style.edgeStyle) {
+				text.push('text-shadow: ' + captionEdges[style.edgeStyle]);
+			}
+
+			// covers the captions, the cues placed by their settings and the preview
+			t.captionSettings.children('style').text(text.length ? '#' + t.id + ' .mejs-captions-text { ' + text.join('; ') + '; }' : '');
+		},
+
+		showCaptionSettings: function() {
+			var t = this;
+
+			t.captionsButton.find('.mejs-captions-selector').addClass('mejs-offscreen');
+			t.captionSettings.show().find('select').first().focus();
+		},
+
+		hideCaptionSettings: function() {
+			var t = this;
+
+			t.captionSettings.hide();
+			t.captionsButton.find('.mejs-captions-settings-button').focus();
+		},
+
+		/*
+		Text tracks that come with the media rather than from <track> elements: in-band captions (HLS, CEA-608 in
+		Safari) and the tracks scripts add with addTextTrack(). They join player.tracks with `textTrack` set to the
+		native track, and the browser keeps loading their cues, which are copied into `entries` as they arrive.
+		*/
+		setupTextTracks: function() {
+			var
+				t = this,
+				textTracks = t.domNode.textTracks,
+				i;
+
+			for (i = 0; i < textTracks.length; i++) {
+				t.adoptTextTrack(textTracks[i]);
+			}
+
+			// a new source brings its own tracks, but the list stays
+			if (!t.textTracksBound && textTracks.addEventListener) {
+				t.textTracksBound = true;
+
+				textTracks.addEventListener('addtrack', function(e) {
+					t.adoptTextTrack(e.track);
+				}, false);
+
+				textTracks.addEventListener('removetrack', function(e) {
+					t.releaseTextTrack(e.track);
+				}, false);
+			}
+		},
+
+		adoptTextTrack: function(textTrack) {
+			var
+				t = this,
+				base = (textTrack.language || 'und').toLowerCase(),
+				lang = base,
+				label = textTrack.label || (textTrack.language ? mejs.language.codes[base] || base : mejs.i18n.t('mejs.captions-subtitles')),
+				taken = function(lang) {
+					for (var i = 0; i < t.tracks.length; i++) {
+						if (t.tracks[i].srclang === lang) {
+							return true;
+						}
+					}
+					return false;
+				},
+				track,
+				n = 1,
+				i;
+
+			// <track> elements are loaded by the player itself
+			if ((textTrack.kind !== 'subtitles' && textTrack.kind !== 'captions') ||
+					t.$media.children('track').filter(function() { return this.track === textTrack; }).length) {
+				return;
+			}
+
+			for (i = 0; i < t.tracks.length; i++) {
+				if (t.tracks[i].textTrack === textTrack) {
+					return;
+				}
+			}
+
+			// the captions menu tells tracks apart by language
+			while (taken(lang)) {
+				n++;
+				lang = base + '-x-track' + n;
+			}
+			if (n > 1) {
+				label += ' ' + n;
+			}
+
+			track = {
+				srclang: lang,
+				src: '',
+				kind: textTrack.kind,
+				label: label,
+				type: '',
+				entries: {text: [], times: []},
+				isLoaded: true,
+				// the browser would have shown it
+				isDefault: textTrack.mode === 'showing',
+				textTrack: textTrack
+			};
+			t.tracks.push(track);
+
+			if (!t.selectedTrack && !t.captionsChosen) {
+				t.captionStartLanguage = t.chooseCaptionLanguage();
+			}
+
+			// the player draws the cues, but the browser has to load them
+			textTrack.mode = 'hidden';
+			t.updateTextTrack(track);
+
+			t.addTrackButton(lang, label);
+			t.enableTrackButton(lang, label);
+			t.captionsButton.show();
+			t.setControlsSize();
+
+			t.container.trigger('trackloaded', [track]);
+		},
+
+		releaseTextTrack: function(textTrack) {
+			var
+				t = this,
+				track = null,
+				i;
+
+			for (i = 0; i < t.tracks.length; i++) {
+				if (t.tracks[i].textTrack === textTrack) {
+					track = t.tracks.splice(i, 1)[0];
 					break;
 				}
 			}
+
+			if (!track) {
+				return;
+			}
+
+			if (t.selectedSecondaryTrack === track) {
+				t.setSecondaryTrack('none');
+			}
+			if (t.selectedTrack === track) {
+				$('#' + t.id + '_captions_none').prop('checked', true);
+				t.setTrack('none');
+			}
+
+			t.removeTrackButton(track.srclang);
+			t.checkForTracks();
 		},
 
-		drawChapters: function(chapters) {
+		updateTextTracks: function() {
+			var
+				t = this,
+				changed = false,
+				i;
+
+			for (i = 0; i < t.tracks.length; i++) {
+				if (t.tracks[i].textTrack && t.updateTextTrack(t.tracks[i])) {
+					changed = true;
+				}
+			}
+
+			// redraw even if the same cues are active
+			if (changed) {
+				t.captionsShown = null;
+			}
+		},
+
+		// Copies the cues of a native track into its entries; returns true if they changed
+		updateTextTrack: function(track) {
+			var
+				t = this,
+				cues = track.textTrack.cues,
+				entries = {text: [], times: []},
+				settings,
+				cue,
+				i;
+
+			// live streams drop old cues as they add new ones
+			if (!cues || (cues.length === track.entries.times.length &&
+					(!cues.length || (cues[0] === track.firstCue && cues[cues.length - 1] === track.lastCue)))) {
+				return false;
+			}
+
+			for (i = 0; i < cues.length; i++) {
+				cue = cues[i];
+				settings = cueSettingsText(cue);
+
+				entries.text.push(typeof cue.text === 'string' ?
+					mejs.TrackFormatParser.webvtt.parseCueText(cue.text) :
+					(cue.getCueAsHTML ? $('<div></div>').append(cue.getCueAsHTML()).html() : ''));
+				entries.times.push({
+					identifier: cue.id || '',
+					start: cue.startTime,
+					stop: cue.endTime,
+					settings: settings,
+					cueSettings: mejs.TrackFormatParser.webvtt.parseSettings(settings)
+				});
+			}
+
+			track.entries = entries;
+			track.firstCue = cues[0];
+			track.lastCue = cues[cues.length - 1];
+
+			return true;
+		},
+
+		checkForTracks: function() {
+			var
+				t = this,
+				hasSubtitles = false;
+
+			// check if any subtitles
+			if (t.options.hideCaptionsButtonWhenEmpty) {
+				for (var i=0; i<t.tracks.length; i++) {
+					var kind = t.tracks[i].kind;
+					if ((kind === 'subtitles' || kind === 'captions') && t.tracks[i].isLoaded) {
+						hasSubtitles = true;
+						break;
+					}
+				}
+
+				if (!hasSubtitles) {
+					t.captionsButton.hide();
+					t.setControlsSize();
+				}
+			}
+		},
+
+		displayCaptions: function() {
+
+			if (typeof this.tracks == 'undefined')
+				return;
+
+			var
+				t = this,
+				track = t.selectedTrack,
+				secondary = t.selectedSecondaryTrack !== track ? t.selectedSecondaryTrack : null,
+				now = t.media.currentTime,
+				active = t.getActiveCues(track, now - t.captionOffset),
+				secondaryActive = t.getActiveCues(secondary, now),
+				shown;
+
+			if (!active.length && !secondaryActive.length) {
+				t.captions.hide();
+				t.captionsShown = null;
+				return;
+			}
+
+			// only rebuild the captions when other cues become active
+			shown = (track ? track.srclang : '') + ':' + active.join(',') + '/' + (secondary ? secondary.srclang : '') + ':' + secondaryActive.join(',');
+			if (t.captionsShown !== shown) {
+				t.captionsShown = shown;
+				t.renderCaptions(track, active);
+				t.renderSecondaryCaptions(secondary, secondaryActive);
+			}
+
+			// karaoke: reveal the text whose timestamp has passed
+			t.captions.find('.mejs-cue-timed').each(function() {
+				var past = parseFloat($(this).attr('data-time')) <= ($(this).closest('.mejs-captions-secondary').length ? now : now - t.captionOffset);
+
+				$(this).toggleClass('mejs-cue-past', past).toggleClass('mejs-cue-future', !past);
+			});
+
+			t.captions.show().height(0);
+		},
+
+		/*
+		Metadata tracks are never shown: their cues are passed to the page through `cueenter` and `cueexit` events,
+		dispatched on the media (the event has a `cue` property) and on the player container (with the cue as
+		argument), whatever the renderer. A cue is {id, start, stop, text, data, track}.
+		*/
+		setupMetadataTrack: function(track) {
+			var
+				t = this,
+				text,
+				data,
+				i;
+
+			track.cues = [];
+			t.metadataScheduled = t.metadataScheduled || [];
+
+			for (i = 0; i < track.entries.times.length; i++) {
+				// the parsers escape the text for captions: get back what the file says
+				text = $('<div>' + track.entries.text[i] + '</div>').text();
+				data = null;
+
+				if (t.options.metadataCueJSON) {
+					try {
+						data = JSON.parse(text);
+					} catch (e) {
+						data = null;
+					}
+				}
+
+				track.cues.push({
+					id: track.entries.times[i].identifier || '',
+					start: track.entries.times[i].start,
+					stop: track.entries.times[i].stop,
+					text: text,
+					data: data,
+					track: track
+				});
+
+				// wake up right at the edges of the cue instead of at the next timeupdate
+				t.metadataScheduled.push(
+					t.addCue(track.entries.times[i].start, function() { t.updateMetadataCues(); }, {tolerance: 0}),
+					t.addCue(track.entries.times[i].stop, function() { t.updateMetadataCues(); }, {tolerance: 0})
+				);
+			}
+
+			t.updateMetadataCues();
+		},
+
+		updateMetadataCues: function() {
 			var
 				t = this,
+				now = t.media.currentTime,
+				previous = t.metadataActive || [],
+				active = [],
+				cues,
 				i,
-				dur,
-				//width,
-				//left,
-				percent = 0,
-				usedPercent = 0;
+				j;
 
-			t.chapters.empty();
+			for (i = 0; i < t.tracks.length; i++) {
+				cues = t.tracks[i].kind === 'metadata' && t.tracks[i].cues ? t.tracks[i].cues : [];
 
-			for (i=0; i<chapters.entries.times.length; i++) {
-				dur = chapters.entries.times[i].stop - chapters.entries.times[i].start;
-				percent = Math.floor(dur / t.media.duration * 100);
-				if (percent + usedPercent > 100 || // too large
-					i == chapters.entries.times.length-1 && percent + usedPercent < 100) // not going to fill it in
-					{
-					percent = 100 - usedPercent;
+				for (j = 0; j < cues.length; j++) {
+					if (now >= cues[j].start && now < cues[j].stop) {
+						active.push(cues[j]);
+					}
 				}
-				//width = Math.floor(t.width * dur / t.media.duration);
-				//left = Math.floor(t.width * chapters.entries.times[i].start / t.media.duration);
-				//if (left + width > t.width) {
-				//	width = t.width - left;
-				//}
+			}
 
-				t.chapters.append( $(
-					'<div class="mejs-chapter" rel="' + chapters.entries.times[i].start + '" style="left: ' + usedPercent.toString() + '%;width: ' + percent.toString() + '%;">' +
-						'<div class="mejs-chapter-block' + ((i==chapters.entries.times.length-1) ? ' mejs-chapter-block-last' : '') + '">' +
-							'<span class="ch-title">' + chapters.entries.text[i] + '</span>' +
-							'<span class="ch-time">' + mejs.Utility.secondsToTimeCode(chapters.entries.times[i].start, t.options) + '&ndash;' + mejs.Utility.secondsToTimeCode(chapters.entries.times[i].stop, t.options) + '</span>' +
-						'</div>' +
-					'</div>'));
-				usedPercent += percent;
+			t.metadataActive = active;
+
+			for (i = 0; i < previous.length; i++) {
+				if ($.inArray(previous[i], active) === -1) {
+					t.dispatchCueEvent('cueexit', previous[i]);
+				}
+			}
+			for (i = 0; i < active.length; i++) {
+				if ($.inArray(active[i], previous) === -1) {
+					t.dispatchCueEvent('cueenter', active[i]);
+				}
+			}
+		},
+
+		dispatchCueEvent: function(type, cue) {
+			var
+				t = this,
+				event;
+
+			if (t.media.pluginType === 'native') {
+				if (typeof window.CustomEvent === 'function') {
+					event = new CustomEvent(type, {detail: cue});
+				} else {
+					event = document.createEvent('CustomEvent');
+					event.initCustomEvent(type, false, false, cue);
+				}
+			} else {
+				// plugin renderers only deal with plain objects
+				event = {type: type, target: t.media, detail: cue};
+			}
+
+			event.cue = cue;
+			t.media.dispatchEvent(event);
+
+			t.container.trigger(type, [cue]);
+		},
+
+		// Indexes of the cues of a track shown at the given time
+		getActiveCues: function(track, time) {
+			var
+				active = [],
+				i;
+
+			if (track && track.isLoaded) {
+				for (i = 0; i < track.entries.times.length; i++) {
+					if (time >= track.entries.times[i].start && time <= track.entries.times[i].stop) {
+						active.push(i);
+					}
+				}
+			}
+
+			return active;
+		},
+
+		/*
+		Searches the cues of the loaded tracks, ignoring case and accents. Words must all be found in a cue;
+		"quoted words" must be found together. Options are `kinds` (default: subtitles, captions, chapters
+		and metadata) and `lang`, a language or an array of them.
+		Returns results as {trackLang, kind, start, stop, text, snippet, score}, best first; `snippet` is
+		the text around the first match, as HTML with the matches in <mark>.
+		*/
+		searchTracks: function(query, options) {
+			var
+				t = this,
+				kinds = (options && options.kinds) || ['subtitles', 'captions', 'chapters', 'metadata'],
+				langs = options && options.lang ? [].concat(options.lang) : null,
+				terms = [],
+				results = [],
+				token = /"([^"]+)"|(\S+)/g,
+				match,
+				track,
+				text,
+				folded,
+				found,
+				score,
+				i,
+				j;
+
+			while ((match = token.exec(query || ''))) {
+				text = $.trim(foldText(match[1] || match[2]).text.replace(/\s+/g, ' '));
+				if (text) {
+					terms.push(text);
+				}
+			}
+
+			if (!terms.length || !t.tracks) {
+				return results;
+			}
+
+			for (i = 0; i < t.tracks.length; i++) {
+				track = t.tracks[i];
+
+				if (!track.isLoaded || !track.entries || $.inArray(track.kind, kinds) === -1 || (langs && $.inArray(track.srclang, langs) === -1)) {
+					continue;
+				}
+
+				for (j = 0; j < track.entries.times.length; j++) {
+					text = $.trim($('<div>' + track.entries.text[j] + '</div>').text().replace(/\s+/g, ' '));
+					folded = foldText(text);
+					found = t.findSearchTerms(folded.text, terms);
+
+					if (!found) {
+						continue;
+					}
+
+					// whole words and the whole query found as typed count more; so do chapter titles
+					score = found.length + found.words;
+					if (terms.length > 1 && folded.text.indexOf(terms.join(' ')) > -1) {
+						score += terms.length * 2;
+					}
+					if (track.kind === 'chapters') {
+						score *= 2;
+					}
+
+					results.push({
+						trackLang: track.srclang,
+						kind: track.kind,
+						start: track.entries.times[j].start,
+						stop: track.entries.times[j].stop,
+						text: text,
+						snippet: t.getSearchSnippet(text, folded.map, found),
+						score: score
+					});
+				}
+			}
+
+			results.sort(function(a, b) {
+				return b.score - a.score || a.start - b.start;
+			});
+
+			return results;
+		},
+
+		// Positions [start, end] in the folded text of every match, or null when a term is missing
+		findSearchTerms: function(text, terms) {
+			var
+				found = [],
+				index,
+				before,
+				after,
+				i;
+
+			found.words = 0;
+
+			for (i = 0; i < terms.length; i++) {
+				index = text.indexOf(terms[i]);
+				if (index === -1) {
+					return null;
+				}
+
+				while (index > -1) {
+					found.push([index, index + terms[i].length]);
+
+					before = text.charAt(index - 1);
+					after = text.charAt(index + terms[i].length);
+					if (!(/[a-z0-9\u00c0-\u024f]/).test(before) && !(/[a-z0-9\u00c0-\u024f]/).test(after)) {
+						found.words++;
+					}
+
+					index = text.indexOf(terms[i], index + terms[i].length);
+				}
+			}
+
+			return found.sort(function(a, b) {
+				return a[0] - b[0];
+			});
+		},
+
+		getSearchSnippet: function(text, map, found) {
+			var
+				context = 40,
+				from = Math.max(0, map[found[0][0]] - context),
+				to = Math.min(text.length, map[found[0][0]] + context * 2),
+				html = '',
+				last = from,
+				start,
+				end,
+				i;
+
+			// start and end on whole words
+			if (from > 0) {
+				from = last = text.indexOf(' ', from) > -1 && text.indexOf(' ', from) < map[found[0][0]] ? text.indexOf(' ', from) + 1 : from;
+			}
+			if (to < text.length && text.lastIndexOf(' ', to) > map[found[0][1] - 1]) {
+				to = text.lastIndexOf(' ', to);
+			}
+
+			for (i = 0; i < found.length; i++) {
+				start = map[found[i][0]];
+				end = map[found[i][1] - 1] + 1;
+
+				if (start < last || end > to) {
+					continue;
+				}
+
+				html += mejs.Utility.escapeHTML(text.substring(last, start)) + '<mark>' + mejs.Utility.escapeHTML(text.substring(start, end)) + '</mark>';
+				last = end;
 			}
 
-			t.chapters.find('div.mejs-chapter').click(function() {
-				t.media.setCurrentTime( parseFloat( $(this).attr('rel') ) );
-				if (t.media.paused) {
-					t.media.play();
+			return (from > 0 ? '&hellip;' : '') + html + mejs.Utility.escapeHTML(text.substring(last, to)) + (to < text.length ? '&hellip;' : '');
+		},
+
+		// The second track is a plain line below the first one: cue settings are left out so the two never overlap
+		renderSecondaryCaptions: function(track, active) {
+			var
+				t = this,
+				text = [],
+				i;
+
+			for (i = 0; i < active.length; i++) {
+				text.push(track.entries.text[active[i]]);
+			}
+
+			t.captionsSecondary
+				.attr('lang', track ? track.srclang : null)
+				.toggle(text.length > 0)
+				.children('.mejs-captions-text')
+					.html(text.join('<br />'));
+		},
+
+		renderCaptions: function(track, active) {
+			var
+				t = this,
+				plain = [],
+				identifier = '',
+				regions = {},
+				region,
+				times,
+				settings,
+				cue,
+				i;
+
+			t.captionsCues.empty().height(t.container.height());
+			t.captionsText.parent().find('.mejs-captions-cue').remove();
+
+			if (!track) {
+				t.captionsText.empty().hide();
+				return;
+			}
+
+			if (t.captionsStyledTrack !== track) {
+				t.captionsStyledTrack = track;
+				t.captions.children('style').text(mejs.TrackFormatParser.webvtt.scopeStyles((track.entries.styles || []).join('\n'), '#' + t.id));
+			}
+
+			for (i = 0; i < active.length; i++) {
+				times = track.entries.times[active[i]];
+				settings = times.cueSettings || {};
+				region = track.entries.regions && settings.region && track.entries.regions[settings.region];
+
+				// cues without settings share the usual caption box
+				if ($.isEmptyObject(settings)) {
+					if (!plain.length) {
+						identifier = times.identifier || '';
+					}
+					plain.push(track.entries.text[active[i]]);
+					continue;
+				}
+
+				cue = $('<div class="mejs-captions-cue"><span class="mejs-captions-text"></span></div>')
+					.css(t.getCueStyle(settings, !!region))
+					.find('.mejs-captions-text')
+						.html(track.entries.text[active[i]])
+						.attr('data-cue-id', times.identifier || '')
+					.end();
+
+				// a region ignores the line, size and vertical settings
+				if (region && settings.vertical === undefined && settings.line === undefined && settings.size === undefined) {
+					if (!regions[region.id] && region.extent) {
+						// a TTML region is a fixed area, with its lines aligned to the top, middle or bottom
+						regions[region.id] = $('<div class="mejs-captions-region mejs-captions-region-' + region.displayAlign + '"><div class="mejs-captions-region-cues"></div></div>')
+							.css({
+								width: region.extent[0] + '%',
+								height: region.extent[1] + '%',
+								left: region.origin[0] + '%',
+								top: region.origin[1] + '%'
+							})
+							.appendTo(t.captionsCues);
+					} else if (!regions[region.id]) {
+						regions[region.id] = $('<div class="mejs-captions-region"><div class="mejs-captions-region-cues"></div></div>')
+							.css({
+								width: region.width + '%',
+								height: (region.lines * 1.25) + 'em',
+								left: region.viewportanchor[0] + '%',
+								top: region.viewportanchor[1] + '%',
+								'-webkit-transform': 'translate(-' + region.regionanchor[0] + '%, -' + region.regionanchor[1] + '%)',
+								'transform': 'translate(-' + region.regionanchor[0] + '%, -' + region.regionanchor[1] + '%)'
+							})
+							.appendTo(t.captionsCues);
+					}
+					regions[region.id].children().append(cue);
+				} else if (settings.line === undefined && !settings.vertical) {
+					// only placed horizontally: stays in the caption box, above the controls
+					cue.insertBefore(t.captionsSecondary);
+				} else {
+					cue.addClass('mejs-captions-cue-placed').appendTo(t.captionsCues);
+				}
+			}
+
+			// Set the line before the timecode as a class so the cue can be targeted if needed
+			t.captionsText
+				.html(plain.join('<br />'))
+				.attr('class', 'mejs-captions-text ' + identifier)
+				.attr('data-cue-id', identifier)
+				.toggle(plain.length > 0);
+		},
+
+		// CSS for a cue from its WebVTT settings
+		getCueStyle: function(settings, inRegion) {
+			var
+				css = {},
+				align = settings.align || 'center',
+				size = settings.size !== undefined && !inRegion ? settings.size : 100,
+				position = settings.position,
+				positionAlign = settings.positionAlign,
+				textAligns = {start: 'left', left: 'left', center: 'center', end: 'right', right: 'right'},
+				lineAligns = {start: 0, center: 50, end: 100},
+				offset,
+				line = settings.line,
+				lineSize = 1.25, // em, the line height of the captions
+				vertical = settings.vertical && !inRegion;
+
+			if (position === undefined) {
+				position = (align === 'start' || align === 'left') ? 0 : (align === 'end' || align === 'right') ? 100 : 50;
+			}
+			if (!positionAlign) {
+				positionAlign = (align === 'start' || align === 'left') ? 'line-left' : (align === 'end' || align === 'right') ? 'line-right' : 'center';
+			}
+
+			offset = positionAlign === 'line-left' ? position : positionAlign === 'line-right' ? position - size : position - size / 2;
+			offset = Math.max(0, Math.min(100 - size, offset));
+
+			css['text-align'] = textAligns[align];
+
+			if (inRegion) {
+				css.width = size + '%';
+				css['margin-left'] = offset + '%';
+				return css;
+			}
+
+			if (vertical) {
+				css['-webkit-writing-mode'] = css['writing-mode'] = 'vertical-' + settings.vertical;
+				css.height = size + '%';
+				css.top = offset + '%';
+			} else if (line === undefined) {
+				css.width = size + '%';
+				css['margin-left'] = offset + '%';
+				return css;
+			} else {
+				css.width = size + '%';
+				css.left = offset + '%';
+			}
+
+			// the line is a distance from the top (or from the right for vertical rl, the left for lr)
+			if (line === undefined) {
+				css[settings.vertical === 'lr' ? 'left' : 'right'] = 0;
+			} else if (settings.snapToLines) {
+				css[vertical ? (settings.vertical === 'lr' ? (line < 0 ? 'right' : 'left') : (line < 0 ? 'left' : 'right')) : (line < 0 ? 'bottom' : 'top')] =
+					((line < 0 ? -line - 1 : line) * lineSize) + 'em';
+			} else {
+				css[vertical ? (settings.vertical === 'lr' ? 'left' : 'right') : 'top'] = line + '%';
+				if (settings.lineAlign && settings.lineAlign !== 'start') {
+					css['-webkit-transform'] = css.transform = vertical ?
+						'translateX(' + (settings.vertical === 'lr' ? -1 : 1) * lineAligns[settings.lineAlign] + '%)' :
+						'translateY(-' + lineAligns[settings.lineAlign] + '%)';
+				}
+			}
+
+			return css;
+		},
+
+		setupSlides: function(track, text) {
+			var
+				t = this,
+				html = '',
+				slide,
+				i;
+
+			track.slides = t.parseSlides(track, text);
+
+			t.slides = track;
+			t.slideIndex = -1;
+
+			if (!t.slidesContainer) {
+				return;
+			}
+
+			t.slidesStage.empty();
+
+			if (t.slidesStrip) {
+				for (i = 0; i < track.slides.length; i++) {
+					slide = track.slides[i];
+					html +=
+						'<li>' +
+							'<button type="button" class="mejs-slides-thumb" data-index="' + i + '" ' +
+								'title="' + mejs.Utility.escapeHTML(mejs.Utility.secondsToTimeCode(slide.start, t.options) + (slide.title ? ' ' + slide.title : '')) + '">' +
+								(slide.thumbnail || slide.image ? '<img src="' + mejs.Utility.escapeHTML(slide.thumbnail || slide.image) + '" alt="" loading="lazy" />' : '') +
+								'<span class="mejs-slides-thumb-title">' + mejs.Utility.escapeHTML(slide.title || String(i + 1)) + '</span>' +
+							'</button>' +
+						'</li>';
+				}
+				t.slidesStrip.html(html);
+			}
+
+			i = t.getSlideIndex(t.media.currentTime);
+			t.showSlide(i > -1 ? i : 0);
+		},
+
+		// Reads the slides of a track as [{start, stop, image, thumbnail, title, notes}], either from a JSON
+		// manifest ({slides: [...]} or [...]) or from the cues, whose text is a JSON object or the image URL
+		// followed by a title line and notes lines
+		parseSlides: function(track, text) {
+			var
+				t = this,
+				slides = [],
+				list = null,
+				cue,
+				item,
+				lines,
+				i;
+
+			if (text && /^\s*[\[\{]/.test(text)) {
+				try {
+					list = JSON.parse(text);
+					list = $.isArray(list) ? list : list.slides;
+				} catch (e) {
+					list = null;
+				}
+			}
+
+			if ($.isArray(list)) {
+				for (i = 0; i < list.length; i++) {
+					slides.push(t.parseSlide(list[i], {
+						start: t.parseSlideTime(list[i].start),
+						stop: t.parseSlideTime(list[i].end !== undefined ? list[i].end : list[i].stop)
+					}));
+				}
+
+				slides.sort(function(a, b) {
+					return a.start - b.start;
+				});
+
+				// a slide stays up until the next one
+				for (i = 0; i < slides.length; i++) {
+					if (isNaN(slides[i].stop)) {
+						slides[i].stop = i + 1 < slides.length ? slides[i + 1].start : Infinity;
+					}
+				}
+
+				// the titles are what the transcript and the search see
+				track.entries = {text: [], times: [], styles: [], regions: {}};
+				for (i = 0; i < slides.length; i++) {
+					track.entries.text.push(mejs.Utility.escapeHTML(slides[i].title));
+					track.entries.times.push({identifier: '', start: slides[i].start, stop: slides[i].stop, settings: '', cueSettings: {}});
+				}
+
+				return slides;
+			}
+
+			for (i = 0; i < track.entries.times.length; i++) {
+				// the parsers turn the text into caption HTML: get back what the file says
+				cue = $.trim($('<div>' + track.entries.text[i] + '</div>').text());
+				item = null;
+
+				if (/^\{/.test(cue)) {
+					try {
+						item = JSON.parse(cue);
+					} catch (e) {
+						item = null;
+					}
+				}
+
+				if (!item) {
+					lines = cue.split(/\n/);
+					item = {image: lines[0], title: lines[1], notes: lines.slice(2).join('\n')};
+				}
+
+				slides.push(t.parseSlide(item, track.entries.times[i]));
+			}
+
+			return slides;
+		},
+
+		parseSlide: function(item, times) {
+			return {
+				start: times.start,
+				stop: times.stop,
+				image: $.trim(item.image || item.src || ''),
+				thumbnail: $.trim(item.thumbnail || ''),
+				title: $.trim(item.title || ''),
+				notes: $.trim(item.notes || '')
+			};
+		},
+
+		// Seconds, or a "00:01:30.5" time code
+		parseSlideTime: function(time) {
+			return time === undefined || time === null || time === '' ? NaN : mejs.Utility.convertSMPTEtoSeconds(String(time));
+		},
+
+		// Index of the slide shown at this time, or -1
+		getSlideIndex: function(time) {
+			var
+				t = this,
+				slides = t.slides ? t.slides.slides : [],
+				i;
+
+			for (i = 0; i < slides.length; i++) {
+				if (time >= slides[i].start && time <= slides[i].stop) {
+					return i;
+				}
+			}
+
+			return -1;
+		},
+
+		// The <img> of a slide, added to the stage (and so loaded) the first time it is asked for
+		getSlideImage: function(index) {
+			var
+				t = this,
+				slide = t.slides.slides[index],
+				img;
+
+			if (!slide || !slide.image) {
+				return null;
+			}
+
+			img = t.slidesStage.children('[data-index="' + index + '"]');
+
+			if (!img.length) {
+				img = $('<img class="mejs-slide" data-index="' + index + '" />')
+					.attr('alt', slide.title)
+					.css('transition-duration', t.options.slidesTransitionDuration + 'ms')
+					.toggleClass('mejs-slide-before', index < t.slideIndex)
+					.appendTo(t.slidesStage)
+					.attr('src', slide.image);
+			}
+
+			return img;
+		},
+
+		showSlide: function(index) {
+			var
+				t = this,
+				slide,
+				img,
+				thumb,
+				i;
+
+			if (!t.slides || !t.slidesContainer || !t.slides.slides[index] || index === t.slideIndex) {
+				return;
+			}
+
+			slide = t.slides.slides[index];
+			t.slideIndex = index;
+
+			t.slidesTitle.text(slide.title).toggle(slide.title !== '');
+			t.slidesNotes.text(slide.notes).toggle(slide.notes !== '');
+
+			if (t.slidesStrip) {
+				t.slidesStrip.find('.mejs-slides-thumb-active').removeClass('mejs-slides-thumb-active').removeAttr('aria-current');
+				thumb = t.slidesStrip.find('.mejs-slides-thumb[data-index="' + index + '"]')
+					.addClass('mejs-slides-thumb-active')
+					.attr('aria-current', 'true');
+
+				if (thumb.is(':visible')) {
+					t.slidesStrip.scrollLeft(t.slidesStrip.scrollLeft() + thumb.position().left - (t.slidesStrip.width() - thumb.outerWidth()) / 2);
+				}
+			}
+
+			img = t.getSlideImage(index);
+
+			if (!img) {
+				t.slidesStage.children('.mejs-slide-active').removeClass('mejs-slide-active');
+			} else if (img[0].complete && img[0].naturalWidth) {
+				t.activateSlide(index);
+			} else {
+				// keep the current slide up until the next one can be drawn
+				img.one('load', function() {
+					t.activateSlide(index);
+				});
+			}
+
+			// so that moving on doesn't wait for the next images
+			for (i = index + 1; i <= index + t.options.slidesPreload; i++) {
+				t.getSlideImage(i);
+			}
+
+			t.container.trigger('slidechange', [index, slide]);
+		},
+
+		activateSlide: function(index) {
+			var t = this;
+
+			if (index !== t.slideIndex) {
+				return;
+			}
+
+			// lay out a just added image first, or it would skip the transition
+			t.slidesStage.width();
+
+			t.slidesStage.children('.mejs-slide').each(function() {
+				var slideIndex = parseInt($(this).attr('data-index'), 10);
+
+				$(this)
+					.toggleClass('mejs-slide-before', slideIndex < index)
+					.toggleClass('mejs-slide-active', slideIndex === index);
+			});
+		},
+
+		displaySlides: function() {
+
+			if (!this.slides)
+				return;
+
+			var
+				t = this,
+				index = t.getSlideIndex(t.media.currentTime);
+
+			// between two slides, the last one stays up
+			if (index > -1) {
+				t.showSlide(index);
+			}
+		},
+
+		displayChapters: function() {
+			var
+				t = this,
+				i;
+
+			for (i=0; i<t.tracks.length; i++) {
+				if (t.tracks[i].kind == 'chapters' && t.tracks[i].isLoaded) {
+					t.drawChapters(t.tracks[i]);
+					t.hasChapters = true;
+					break;
+				}
+			}
+		},
+
+		drawChapters: function(chapters) {
+			var
+				t = this,
+				i,
+				dur,
+				//width,
+				//left,
+				percent = 0,
+				usedPercent = 0;
+
+			t.chapters.empty();
+
+			for (i=0; i<chapters.entries.times.length; i++) {
+				dur = (chapters.entries.times[i].stop || t.media.duration) - chapters.entries.times[i].start;
+				percent = Math.floor(dur / t.media.duration * 100);
+				if (percent + usedPercent > 100 || // too large
+					i == chapters.entries.times.length-1 && percent + usedPercent < 100) // not going to fill it in
+					{
+					percent = 100 - usedPercent;
+				}
+				//width = Math.floor(t.width * dur / t.media.duration);
+				//left = Math.floor(t.width * chapters.entries.times[i].start / t.media.duration);
+				//if (left + width > t.width) {
+				//	width = t.width - left;
+				//}
+
+				t.chapters.append( $(
+					'<div class="mejs-chapter" rel="' + chapters.entries.times[i].start + '" style="left: ' + usedPercent.toString() + '%;width: ' + percent.toString() + '%;">' +
+						'<div class="mejs-chapter-block' + ((i==chapters.entries.times.length-1) ? ' mejs-chapter-block-last' : '') + '">' +
+							'<span class="ch-title">' + chapters.entries.text[i] + '</span>' +
+							'<span class="ch-time">' + mejs.Utility.secondsToTimeCode(chapters.entries.times[i].start, t.options) + '&ndash;' + mejs.Utility.secondsToTimeCode(chapters.entries.times[i].stop || t.media.duration, t.options) + '</span>' +
+						'</div>' +
+					'</div>'));
+				usedPercent += percent;
+			}
+
+			t.chapters.find('div.mejs-chapter').click(function() {
+				t.media.setCurrentTime( parseFloat( $(this).attr('rel') ) );
+				if (t.media.paused) {
+					t.media.play();
+				}
+			});
+
+			t.chapters.show();
+
+			t.drawChapterNavigation(chapters);
+		},
+
+		// Seconds the selected track is shown late (or early, if negative) to make up for badly synced subtitles
+		captionOffset: 0,
+
+		// set once the G and H keys are bound
+		captionOffsetBound: false,
+
+		setupCaptionOffset: function() {
+			var
+				t = this,
+				step = t.options.captionOffsetStep;
+
+			t.captionOffset = 0;
+			t.captionsButton.find('.mejs-captions-offset-value').text('0s');
+
+			t.captionsButton
+				.on('click', '.mejs-captions-offset-earlier', function() {
+					t.setCaptionOffset(t.captionOffset - step);
+				})
+				.on('click', '.mejs-captions-offset-later', function() {
+					t.setCaptionOffset(t.captionOffset + step);
+				})
+				.on('click', '.mejs-captions-offset-value', function() {
+					t.setCaptionOffset(0);
+				});
+
+			// the keys outlive the tracks, which are rebuilt for each playlist item
+			if (t.captionOffsetBound) {
+				return;
+			}
+			t.captionOffsetBound = true;
+
+			t.options.keyActions = t.options.keyActions.concat([
+				{
+					keys: [71], // G
+					isEnabled: function(player) {
+						return !!player.selectedTrack;
+					},
+					action: function(player) {
+						player.setCaptionOffset(player.captionOffset - player.options.captionOffsetStep);
+					}
+				},
+				{
+					keys: [72], // H
+					isEnabled: function(player) {
+						return !!player.selectedTrack;
+					},
+					action: function(player) {
+						player.setCaptionOffset(player.captionOffset + player.options.captionOffsetStep);
+					}
+				}
+			]);
+		},
+
+		// Shows the selected track `seconds` late, or early if negative; the cues themselves are left as they are
+		setCaptionOffset: function(seconds) {
+			var
+				t = this,
+				offset = Math.round((parseFloat(seconds) || 0) * 1000) / 1000;
+
+			// no captions UI: the tracks feature is off or the media came without tracks
+			if (!t.captionsButton) {
+				return;
+			}
+
+			t.captionOffset = offset;
+			t.captionsButton.find('.mejs-captions-offset-value').text((offset > 0 ? '+' : '') + offset + 's');
+
+			t.captionsShown = null;
+			t.displayCaptions();
+
+			t.container.trigger('captionoffsetchange', [offset]);
+		},
+
+		setupChapterNavigation: function() {
+			var
+				t = this,
+				chaptersTitle = t.options.chaptersText ? t.options.chaptersText : mejs.i18n.t('mejs.chapters'),
+				time = t.controls.find('.mejs-time').last(),
+				total = t.controls.find('.mejs-time-total');
+
+			t.chaptersButton =
+				$('<div class="mejs-button mejs-chapters-button">' +
+					'<button type="button" aria-controls="' + t.id + '_chapters" aria-haspopup="true" title="' + chaptersTitle + '" aria-label="' + chaptersTitle + '"></button>' +
+					'<div id="' + t.id + '_chapters" class="mejs-chapters-selector mejs-offscreen">' +
+						'<ul></ul>' +
+					'</div>' +
+				'</div>')
+				.appendTo(t.controls)
+				.hide()
+				.on('mouseenter focusin', function() {
+					$(this).find('.mejs-chapters-selector').removeClass('mejs-offscreen');
+				})
+				.on('mouseleave focusout', function() {
+					$(this).find('.mejs-chapters-selector').addClass('mejs-offscreen');
+				})
+				.on('click', '.mejs-chapters-item', function() {
+					t.goToChapter(parseInt($(this).attr('data-index'), 10));
+				});
+
+			// the title of the current chapter goes next to the time
+			t.chapterTitle = $('<div class="mejs-chapter-title-container"><span class="mejs-chapter-title"></span></div>').hide();
+			if (time.length) {
+				t.chapterTitle.insertAfter(time);
+			} else {
+				t.chapterTitle.appendTo(t.controls);
+			}
+
+			// splits of the rail between chapters
+			t.chapterRail = $('<span class="mejs-time-chapters"></span>').appendTo(total);
+
+			// the rest outlives the tracks, which are rebuilt for each playlist item
+			if (t.chapterNavigationBound) {
+				return;
+			}
+			t.chapterNavigationBound = true;
+
+			// the chapter under the mouse in the time tooltip
+			t.controls.find('.mejs-time-float').append('<span class="mejs-time-float-chapter"></span>');
+
+			total.on('mousemove', function(e) {
+				var
+					index = t.chaptersTrack && t.media.duration ?
+						t.getChapterIndex((e.pageX - total.offset().left) / total.width() * t.media.duration) : -1;
+
+				t.controls.find('.mejs-time-float-chapter')
+					.text(index > -1 ? $('<div>' + t.chaptersTrack.entries.text[index] + '</div>').text() : '')
+					.toggle(index > -1);
+			});
+
+			t.options.keyActions = t.options.keyActions.concat([
+				{
+					keys: [34], // PAGE DOWN
+					isEnabled: function(player) {
+						return player.chaptersTrack !== null;
+					},
+					action: function(player) {
+						player.nextChapter();
+					}
+				},
+				{
+					keys: [33], // PAGE UP
+					isEnabled: function(player) {
+						return player.chaptersTrack !== null;
+					},
+					action: function(player) {
+						player.prevChapter();
+					}
+				}
+			]);
+
+			t.media.addEventListener('timeupdate', function() {
+				t.updateChapter();
+			}, false);
+		},
+
+		drawChapterNavigation: function(chapters) {
+			var
+				t = this,
+				list = t.chaptersButton.find('ul').empty(),
+				title,
+				i;
+
+			t.chaptersTrack = chapters;
+			t.chapterRail.empty();
+
+			for (i = 0; i < chapters.entries.times.length; i++) {
+				title = $('<div>' + chapters.entries.text[i] + '</div>').text();
+
+				list.append(
+					'<li>' +
+						'<button type="button" class="mejs-chapters-item" data-index="' + i + '">' +
+							'<span class="mejs-chapters-item-time">' + mejs.Utility.secondsToTimeCode(chapters.entries.times[i].start, t.options) + '</span>' +
+							'<span class="mejs-chapters-item-title">' + mejs.Utility.escapeHTML(title) + '</span>' +
+						'</button>' +
+					'</li>'
+				);
+
+				if (i > 0 && t.media.duration) {
+					$('<span class="mejs-time-chapter-split"></span>')
+						.css('left', (100 * chapters.entries.times[i].start / t.media.duration) + '%')
+						.appendTo(t.chapterRail);
+				}
+			}
+
+			t.chaptersButton.show();
+			t.chapterTitle.show();
+			t.chapterIndex = null;
+			t.updateChapter();
+			t.setControlsSize();
+		},
+
+		// Index of the chapter at this time, or -1
+		getChapterIndex: function(time) {
+			var
+				t = this,
+				times = t.chaptersTrack ? t.chaptersTrack.entries.times : [],
+				i;
+
+			for (i = times.length - 1; i >= 0; i--) {
+				// a chapter without an end lasts until the next one
+				if (time >= (i === 0 ? 0 : times[i].start) && (!times[i].stop || time < times[i].stop || i === times.length - 1)) {
+					return i;
+				}
+			}
+
+			return -1;
+		},
+
+		updateChapter: function() {
+			var
+				t = this,
+				index = t.getChapterIndex(t.media.currentTime),
+				title;
+
+			if (!t.chaptersTrack || index === t.chapterIndex) {
+				return;
+			}
+
+			t.chapterIndex = index;
+			title = index > -1 ? $('<div>' + t.chaptersTrack.entries.text[index] + '</div>').text() : '';
+			t.chapterTitle.find('.mejs-chapter-title').text(title);
+
+			t.chaptersButton.find('.mejs-chapters-item')
+				.removeClass('mejs-chapters-current')
+				.removeAttr('aria-current')
+				.filter('[data-index="' + index + '"]')
+					.addClass('mejs-chapters-current')
+					.attr('aria-current', 'true');
+
+			t.container.trigger('chapterchange', [index, title]);
+		},
+
+		goToChapter: function(index) {
+			var t = this;
+
+			if (!t.chaptersTrack || index < 0 || index >= t.chaptersTrack.entries.times.length) {
+				return;
+			}
+
+			t.media.setCurrentTime(index === 0 ? 0 : t.chaptersTrack.entries.times[index].start);
+			if (t.media.paused) {
+				t.media.play();
+			}
+		},
+
+		nextChapter: function() {
+			var t = this;
+
+			t.goToChapter(t.getChapterIndex(t.media.currentTime) + 1);
+		},
+
+		// Goes back to the start of the chapter, or to the previous one when the chapter has just started
+		prevChapter: function() {
+			var
+				t = this,
+				index = t.getChapterIndex(t.media.currentTime);
+
+			if (index > 0 && t.media.currentTime - t.chaptersTrack.entries.times[index].start < 3) {
+				index--;
+			}
+
+			t.goToChapter(Math.max(index, 0));
+		}
+	});
+
+
+
+	mejs.language = {
+		codes:  {
+			af:'Afrikaans',
+			sq:'Albanian',
+			ar:'Arabic',
+			be:'Belarusian',
+			bg:'Bulgarian',
+			ca:'Catalan',
+			zh:'Chinese',
+			'zh-cn':'Chinese Simplified',
+			'zh-tw':'Chinese Traditional',
+			hr:'Croatian',
+			cs:'Czech',
+			da:'Danish',
+			nl:'Dutch',
+			en:'English',
+			et:'Estonian',
+			fl:'Filipino',
+			fi:'Finnish',
+			fr:'French',
+			gl:'Galician',
+			de:'German',
+			el:'Greek',
+			ht:'Haitian Creole',
+			iw:'Hebrew',
+			hi:'Hindi',
+			hu:'Hungarian',
+			is:'Icelandic',
+			id:'Indonesian',
+			ga:'Irish',
+			it:'Italian',
+			ja:'Japanese',
+			ko:'Korean',
+			lv:'Latvian',
+			lt:'Lithuanian',
+			mk:'Macedonian',
+			ms:'Malay',
+			mt:'Maltese',
+			no:'Norwegian',
+			fa:'Persian',
+			pl:'Polish',
+			pt:'Portuguese',
+			// 'pt-pt':'Portuguese (Portugal)',
+			ro:'Romanian',
+			ru:'Russian',
+			sr:'Serbian',
+			sk:'Slovak',
+			sl:'Slovenian',
+			es:'Spanish',
+			sw:'Swahili',
+			sv:'Swedish',
+			tl:'Tagalog',
+			th:'Thai',
+			tr:'Turkish',
+			uk:'Ukrainian',
+			vi:'Vietnamese',
+			cy:'Welsh',
+			yi:'Yiddish'
+		}
+	};
+
+	/*
+	Parses WebVTT format which should be formatted as
+	================================
+	WEBVTT
+
+	1
+	00:00:01,1 --> 00:00:05,000
+	A line of text
+
+	2
+	00:01:15,1 --> 00:02:05,000
+	A second line of text
+
+	===============================
+
+	Adapted from: http://www.delphiki.com/html5/playr
+	*/
+	mejs.TrackFormatParser = {
+		webvtt: {
+			label: 'WebVTT',
+			types: ['text/vtt'],
+			extensions: ['vtt'],
+
+			test: function(trackText) {
+				return /^\uFEFF?WEBVTT/.test(trackText);
+			},
+
+			pattern_timecode: /^((?:[0-9]{1,2}:)?[0-9]{2}:[0-9]{2}([,.][0-9]{1,3})?) --\> ((?:[0-9]{1,2}:)?[0-9]{2}:[0-9]{2}([,.][0-9]{3})?)(.*)$/,
+
+			parse: function(trackText) {
+				var
+					i = 0,
+					lines = mejs.TrackFormatParser.split2(trackText, /\r?\n/),
+					entries = {text:[], times:[], styles:[], regions:{}},
+					timecode,
+					text,
+					block,
+					identifier;
+				for(; i<lines.length; i++) {
+					timecode = this.pattern_timecode.exec(lines[i]);
+
+					// STYLE and REGION blocks: a keyword line followed by lines up to the next blank one
+					if ((lines[i] === 'STYLE' || lines[i] === 'REGION') && (i === 0 || lines[i - 1] === '') &&
+						i + 1 < lines.length && !this.pattern_timecode.test(lines[i + 1])) {
+						block = [];
+						while (++i < lines.length && lines[i] !== '') {
+							block.push(lines[i]);
+						}
+						if (lines[i - block.length - 1] === 'STYLE') {
+							entries.styles.push(block.join('\n'));
+						} else {
+							this.parseRegion(block.join(' '), entries.regions);
+						}
+						continue;
+					}
+
+					if (timecode && i<lines.length) {
+						if ((i - 1) >= 0 && lines[i - 1] !== '') {
+							identifier = lines[i - 1];
+						}
+						i++;
+						// grab all the (possibly multi-line) text that follows
+						text = lines[i];
+						i++;
+						while(lines[i] !== '' && i<lines.length){
+							text = text + '\n' + lines[i];
+							i++;
+						}
+						text = this.parseCueText($.trim(text));
+						// Text is in a different array so I can use .join
+						entries.text.push(text);
+						entries.times.push(
+						{
+							identifier: identifier,
+							start: (mejs.Utility.convertSMPTEtoSeconds(timecode[1]) === 0) ? 0.200 : mejs.Utility.convertSMPTEtoSeconds(timecode[1]),
+							stop: mejs.Utility.convertSMPTEtoSeconds(timecode[3]),
+							settings: timecode[5],
+							cueSettings: this.parseSettings(timecode[5])
+						});
+					}
+					identifier = '';
+				}
+				return entries;
+			},
+
+			// Cue settings ("line:0 position:20%,line-left size:60% align:start vertical:rl region:fred")
+			parseSettings: function(settingsText) {
+				var
+					settings = {},
+					parts = $.trim(settingsText || '').split(/\s+/),
+					aligns = {start: 'start', center: 'center', middle: 'center', end: 'end', left: 'left', right: 'right'},
+					positionAligns = {'line-left': 'line-left', start: 'line-left', center: 'center', middle: 'center', 'line-right': 'line-right', end: 'line-right'},
+					name,
+					value,
+					i;
+
+				for (i = 0; i < parts.length; i++) {
+					if (parts[i].indexOf(':') < 1) {
+						continue;
+					}
+
+					name = parts[i].substr(0, parts[i].indexOf(':'));
+					value = parts[i].substr(name.length + 1).split(',');
+
+					switch (name) {
+						case 'vertical':
+							if (value[0] === 'rl' || value[0] === 'lr') {
+								settings.vertical = value[0];
+							}
+							break;
+						case 'line':
+							if (/^-?[0-9]+$/.test(value[0])) {
+								settings.line = parseInt(value[0], 10);
+								settings.snapToLines = true;
+							} else if (/^[0-9.]+%$/.test(value[0])) {
+								settings.line = parseFloat(value[0]);
+								settings.snapToLines = false;
+							}
+							if (value[1] === 'start' || value[1] === 'center' || value[1] === 'end') {
+								settings.lineAlign = value[1];
+							}
+							break;
+						case 'position':
+							if (/^[0-9.]+%$/.test(value[0])) {
+								settings.position = parseFloat(value[0]);
+							}
+							if (positionAligns[value[1]]) {
+								settings.positionAlign = positionAligns[value[1]];
+							}
+							break;
+						case 'size':
+							if (/^[0-9.]+%$/.test(value[0])) {
+								settings.size = parseFloat(value[0]);
+							}
+							break;
+						case 'align':
+							if (aligns[value[0]]) {
+								settings.align = aligns[value[0]];
+							}
+							break;
+						case 'region':
+							settings.region = value[0];
+							break;
+					}
+				}
+
+				return settings;
+			},
+
+			// REGION block ("id:fred width:40% lines:3 regionanchor:0%,100% viewportanchor:10%,90% scroll:up")
+			parseRegion: function(regionText, regions) {
+				var
+					region = {width: 100, lines: 3, regionanchor: [0, 100], viewportanchor: [0, 100], scroll: ''},
+					parts = $.trim(regionText).split(/\s+/),
+					name,
+					value,
+					i;
+
+				for (i = 0; i < parts.length; i++) {
+					name = parts[i].substr(0, parts[i].indexOf(':'));
+					value = parts[i].substr(name.length + 1);
+
+					switch (name) {
+						case 'id':
+							region.id = value;
+							break;
+						case 'width':
+							region.width = parseFloat(value);
+							break;
+						case 'lines':
+							region.lines = parseInt(value, 10);
+							break;
+						case 'regionanchor':
+						case 'viewportanchor':
+							value = value.split(',');
+							if (value.length === 2) {
+								region[name] = [parseFloat(value[0]), parseFloat(value[1])];
+							}
+							break;
+						case 'scroll':
+							region.scroll = value;
+							break;
+					}
+				}
+
+				if (region.id) {
+					regions[region.id] = region;
+				}
+			},
+
+			// Turns the cue text markup into HTML: <v Speaker>, <c.class>, <b>, <i>, <u>, <ruby>/<rt>, <lang xx>
+			// and karaoke timestamps (<00:00:05.000>), whose following text is wrapped in .mejs-cue-timed spans
+			parseCueText: function(text) {
+				var
+					tokens = text.match(/<[^>]*>|[^<]+/g) || [],
+					elements = {b: 'b', i: 'i', u: 'u', ruby: 'ruby', rt: 'rt', v: 'span', c: 'span', lang: 'span'},
+					html = '',
+					open = [],
+					time = null,
+					token,
+					tag,
+					name,
+					className,
+					annotation,
+					j,
+					i;
+
+				for (i = 0; i < tokens.length; i++) {
+					token = tokens[i];
+
+					if (token.charAt(0) !== '<') {
+						token = token.replace(/(\b(https?|ftp|file):\/\/[-A-Z0-9+&@#\/%?=~_|!:,.;]*[-A-Z0-9+&@#\/%=~_|])/ig, "<a href='$1' target='_blank'>$1</a>");
+						html += time === null ? token : '<span class="mejs-cue-timed" data-time="' + time + '">' + token + '</span>';
+						continue;
+					}
+
+					if (/^<(?:[0-9]+:)?[0-9]{2}:[0-9]{2}\.[0-9]{3}>$/.test(token)) {
+						time = mejs.Utility.convertSMPTEtoSeconds(token.slice(1, -1));
+						continue;
+					}
+
+					tag = /^<(\/?)([a-z]+)((?:\.[^\s.>]+)*)\s*([^>]*)>$/i.exec(token);
+					if (!tag || !elements[tag[2].toLowerCase()]) {
+						continue;
+					}
+
+					name = tag[2].toLowerCase();
+
+					if (tag[1]) {
+						// close everything up to the matching tag
+						j = $.inArray(name, open.slice().reverse());
+						if (j > -1) {
+							j = open.length - 1 - j;
+							while (open.length > j) {
+								html += '</' + elements[open.pop()] + '>';
+							}
+						}
+						continue;
+					}
+
+					// only plain class names, anything else could break out of the attribute
+					className = $.trim((name === 'v' ? 'mejs-cue-voice ' : name === 'c' ? 'mejs-cue-class ' : '') + $.grep(tag[3].substr(1).split('.'), function(c) {
+						return /^[\w-]+$/.test(c);
+					}).join(' '));
+					annotation = mejs.Utility.escapeHTML($.trim(tag[4]));
+
+					html += '<' + elements[name] +
+						(className ? ' class="' + className + '"' : '') +
+						(name === 'v' ? ' data-voice="' + annotation + '" title="' + annotation + '"' : '') +
+						(name === 'lang' ? ' lang="' + annotation + '"' : '') +
+						'>';
+					open.push(name);
+				}
+
+				while (open.length) {
+					html += '</' + elements[open.pop()] + '>';
+				}
+
+				return html;
+			},
+
+			// Scopes the ::cue rules of STYLE blocks to the captions of one player, e.g.
+			// "::cue(.yellow) { color: yellow }" => "#mep_0 .mejs-captions-text .yellow { color: yellow }"
+			scopeStyles: function(css, scope) {
+				var
+					rules = css.replace(/\/\*[\s\S]*?\*\//g, '').split('}'),
+					result = [],
+					selectors,
+					mapped,
+					parts,
+					cue,
+					inner,
+					i,
+					j;
+
+				for (i = 0; i < rules.length; i++) {
+					parts = rules[i].split('{');
+					if (parts.length !== 2) {
+						continue;
+					}
+
+					selectors = parts[0].split(',');
+					mapped = [];
+
+					for (j = 0; j < selectors.length; j++) {
+						// ::cue-region and anything else is not supported
+						cue = /^::cue(?:\((.*)\))?$/.exec($.trim(selectors[j]));
+						if (!cue) {
+							continue;
+						}
+
+						inner = $.trim(cue[1] || '')
+							.replace(/(^|[\s>+~])v(?=$|[\s>+~.\[:])/g, '$1span.mejs-cue-voice')
+							.replace(/(^|[\s>+~])c(?=$|[\s>+~.\[:])/g, '$1span.mejs-cue-class')
+							.replace(/\[voice(?=[\]=~|^$*])/g, '[data-voice')
+							.replace(/:past\b/g, '.mejs-cue-past')
+							.replace(/:future\b/g, '.mejs-cue-future');
+
+						if (inner.charAt(0) === '#') {
+							// a cue identifier
+							inner = inner.replace(/^#([^\s>+~.\[:]+)/, '[data-cue-id="$1"]');
+						} else if (inner) {
+							inner = ' ' + inner;
+						}
+
+						mapped.push(scope + ' .mejs-captions-text' + inner);
+					}
+
+					if (mapped.length) {
+						result.push(mapped.join(', ') + ' {' + parts[1] + '}');
+					}
+				}
+
+				return result.join('\n');
+			},
+
+			serialize: function(entries) {
+				var
+					p = mejs.TrackFormatParser,
+					out = 'WEBVTT\n',
+					regions = entries.regions || {},
+					settings,
+					region,
+					name,
+					time,
+					i,
+					element = function(node) {
+						var
+							classes = $.trim((node.getAttribute('class') || '').replace(/\bmejs-cue-(?:voice|class)\b/g, '')),
+							tag = node.localName;
+
+						classes = classes ? '.' + classes.split(/\s+/).join('.') : '';
+
+						if (tag === 'b' || tag === 'i' || tag === 'u' || tag === 'ruby' || tag === 'rt') {
+							return ['<' + tag + classes + '>', '</' + tag + '>'];
+						}
+						if ($(node).hasClass('mejs-cue-timed')) {
+							// the parser wraps every piece of text after a timestamp
+							if (node.getAttribute('data-time') === time) {
+								return null;
+							}
+							time = node.getAttribute('data-time');
+							return ['<' + p.formatTime(parseFloat(time), '.') + '>', ''];
+						}
+						if ($(node).hasClass('mejs-cue-voice')) {
+							return ['<v' + classes + ' ' + node.getAttribute('data-voice') + '>', '</v>'];
+						}
+						if ($(node).hasClass('mejs-cue-class')) {
+							return ['<c' + classes + '>', '</c>'];
+						}
+						if (node.getAttribute('lang')) {
+							return ['<lang' + classes + ' ' + node.getAttribute('lang') + '>', '</lang>'];
+						}
+						return p.styleTags(node);
+					};
+
+				for (i = 0; entries.styles && i < entries.styles.length; i++) {
+					out += '\nSTYLE\n' + entries.styles[i] + '\n';
+				}
+
+				// TTML regions are laid out differently and are left out
+				for (name in regions) {
+					region = regions[name];
+					if (region.width !== undefined) {
+						out += '\nREGION\nid:' + region.id + ' width:' + region.width + '% lines:' + region.lines +
+							' regionanchor:' + region.regionanchor.join('%,') + '%' +
+							' viewportanchor:' + region.viewportanchor.join('%,') + '%' +
+							(region.scroll ? ' scroll:' + region.scroll : '') + '\n';
+					}
+				}
+
+				for (i = 0; i < entries.times.length; i++) {
+					settings = entries.times[i].settings;
+					if (settings === undefined && entries.times[i].cueSettings && entries.times[i].cueSettings.align) {
+						settings = ' align:' + entries.times[i].cueSettings.align;
+					}
+
+					time = null;
+
+					out += '\n' +
+						(entries.times[i].identifier && entries.times[i].identifier.indexOf('-->') === -1 ? entries.times[i].identifier + '\n' : '') +
+						p.formatTime(entries.times[i].start, '.') + ' --> ' + p.formatTime(entries.times[i].stop, '.') + (settings ? ' ' + $.trim(settings) : '') + '\n' +
+						p.serializeCueText(entries.text[i], mejs.Utility.escapeHTML, element) + '\n';
+				}
+
+				return out;
+			}
+		},
+		// TTML / DFXP, including the EBU-TT-D and IMSC1 text profiles: regions, referenced and inline styles,
+		// nested spans, <br/>, and clock, frame and tick time expressions
+		// Thanks to Justin Capella for the first version: https://github.com/johndyer/mediaelement/pull/420
+		dfxp: {
+			label: 'TTML',
+			types: ['application/ttml+xml', 'application/ttaf+xml'],
+			extensions: ['ttml', 'dfxp', 'xml'],
+
+			test: function(trackText) {
+				// a <tt> root, possibly prefixed (<tt:tt> in EBU-TT-D), in the TTML namespace
+				return (/<tt\s+xml/i).test(trackText) ||
+					((/<(\w+:)?tt[\s>]/).test(trackText) && (/http:\/\/www\.w3\.org\/(ns\/ttml|2006\/(04|10)\/ttaf1)/).test(trackText));
+			},
+
+			// tts:* attributes that map to CSS properties
+			properties: {
+				color: 'color',
+				backgroundColor: 'background-color',
+				fontStyle: 'font-style',
+				fontWeight: 'font-weight',
+				fontFamily: 'font-family',
+				fontSize: 'font-size',
+				lineHeight: 'line-height',
+				textDecoration: 'text-decoration',
+				textAlign: 'text-align',
+				opacity: 'opacity',
+				visibility: 'visibility'
+			},
+
+			parse: function(trackText) {
+				var
+					t = this,
+					entries = {text:[], times:[], regions:{}},
+					doc,
+					root,
+					body,
+					params,
+					styles = {},
+					nodes,
+					i;
+
+				try {
+					doc = $.parseXML(trackText);
+				} catch (e) {
+					return entries;
+				}
+
+				root = doc.documentElement;
+				params = t.timeParameters(root);
+
+				// named styles may reference each other
+				nodes = doc.getElementsByTagNameNS('*', 'style');
+				for (i = 0; i < nodes.length; i++) {
+					if (nodes[i].getAttribute('xml:id')) {
+						styles[nodes[i].getAttribute('xml:id')] = nodes[i];
+					}
+				}
+
+				nodes = doc.getElementsByTagNameNS('*', 'region');
+				for (i = 0; i < nodes.length; i++) {
+					t.parseRegion(nodes[i], styles, root, entries.regions);
+				}
+
+				body = doc.getElementsByTagNameNS('*', 'body')[0];
+				if (body) {
+					t.walk(body, 0, null, {}, '', styles, params, entries);
+				}
+
+				// legacy files leave times out: use the neighbouring paragraphs
+				for (i = 0; i < entries.times.length; i++) {
+					if (entries.times[i].start === null && i > 0) {
+						entries.times[i].start = entries.times[i - 1].stop;
+					}
+					if (entries.times[i].stop === null && i < entries.times.length - 1) {
+						entries.times[i].stop = entries.times[i + 1].start;
+					}
+					if (!entries.times[i].start) {
+						entries.times[i].start = 0.200;
+					}
+				}
+
+				return entries;
+			},
+
+			// Goes through body, div and p elements, passing down timing, styles and region
+			walk: function(node, begin, end, css, region, styles, params, entries) {
+				var
+					t = this,
+					timing = t.timing(node, begin, end, params),
+					child,
+					settings;
+
+				css = $.extend({}, css, t.style(node, styles));
+				region = node.getAttribute('region') || region;
+
+				if (node.localName === 'p') {
+					settings = {};
+					if (region && entries.regions[region]) {
+						settings.region = region;
+						css = $.extend({}, entries.regions[region].css, css);
+					}
+					if (css['text-align']) {
+						settings.align = {start: 'left', end: 'right'}[css['text-align']] || css['text-align'];
+					}
+
+					entries.text.push(t.wrap($.trim(t.content(node, timing.begin, styles, params)), css));
+					entries.times.push({
+						identifier: node.getAttribute('xml:id') || '',
+						start: timing.explicit ? timing.begin : null,
+						stop: timing.end,
+						cueSettings: settings
+					});
+					return;
+				}
+
+				for (child = node.firstChild; child; child = child.nextSibling) {
+					if (child.nodeType === 1 && (child.localName === 'div' || child.localName === 'p')) {
+						t.walk(child, timing.begin, timing.end, css, region, styles, params, entries);
+					}
+				}
+			},
+
+			// HTML for the content of a p or span
+			content: function(node, begin, styles, params) {
+				var
+					t = this,
+					html = '',
+					child,
+					timing,
+					inner;
+
+				for (child = node.firstChild; child; child = child.nextSibling) {
+					if (child.nodeType === 3 || child.nodeType === 4) {
+						html += mejs.Utility.escapeHTML(child.nodeValue.replace(/\s+/g, ' '))
+							.replace(/(\b(https?|ftp|file):\/\/[-A-Z0-9+&@#\/%?=~_|!:,.;]*[-A-Z0-9+&@#\/%=~_|])/ig, "<a href='$1' target='_blank'>$1</a>");
+					} else if (child.nodeType === 1 && child.localName === 'br') {
+						html += '\n';
+					} else if (child.nodeType === 1 && child.localName === 'span') {
+						timing = t.timing(child, begin, null, params);
+						inner = t.wrap(t.content(child, timing.begin, styles, params), t.style(child, styles));
+
+						// a span that starts later than its paragraph is revealed at its time
+						html += timing.explicit && timing.begin > begin ?
+							'<span class="mejs-cue-timed" data-time="' + timing.begin + '">' + inner + '</span>' :
+							inner;
+					}
+				}
+
+				return html.replace(/ ?\n ?/g, '\n');
+			},
+
+			wrap: function(html, css) {
+				var
+					style = '',
+					name;
+
+				for (name in css) {
+					// alignment belongs to the whole cue
+					if (name !== 'text-align') {
+						style += name + ':' + mejs.Utility.escapeHTML(css[name]) + ';';
+					}
+				}
+
+				return style ? '<span style="' + style + '">' + html + '</span>' : html;
+			},
+
+			// CSS from the styles an element references and its own tts:* attributes
+			style: function(node, styles, seen) {
+				var
+					t = this,
+					css = {},
+					refs = $.trim(node.getAttribute('style') || '').split(/\s+/),
+					attributes = node.attributes,
+					name,
+					value,
+					i;
+
+				seen = seen || [];
+
+				for (i = 0; i < refs.length; i++) {
+					if (styles[refs[i]] && $.inArray(refs[i], seen) === -1) {
+						seen.push(refs[i]);
+						$.extend(css, t.style(styles[refs[i]], styles, seen));
+					}
+				}
+
+				for (i = 0; i < attributes.length; i++) {
+					name = attributes[i].localName || attributes[i].name.split(':').pop();
+					if (/#styling$/.test(attributes[i].namespaceURI || '') && t.properties[name]) {
+						value = t.cssValue(name, attributes[i].value);
+						// nothing that could end the declaration or load something
+						if (!/[;{}\\]|url\(|expression\(/i.test(value)) {
+							css[t.properties[name]] = value;
+						}
+					}
+				}
+
+				return css;
+			},
+
+			cssValue: function(name, value) {
+				var rgba;
+
+				value = $.trim(value);
+
+				if (name === 'color' || name === 'backgroundColor') {
+					// #rrggbbaa and rgba() with a 0-255 alpha
+					if ((rgba = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value))) {
+						return 'rgba(' + parseInt(rgba[1], 16) + ',' + parseInt(rgba[2], 16) + ',' + parseInt(rgba[3], 16) + ',' + Math.round(parseInt(rgba[4], 16) / 255 * 100) / 100 + ')';
+					}
+					if ((rgba = /^rgba\(\s*([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9]+)\s*\)$/i.exec(value))) {
+						return 'rgba(' + rgba[1] + ',' + rgba[2] + ',' + rgba[3] + ',' + Math.round(rgba[4] / 255 * 100) / 100 + ')';
+					}
+				} else if (name === 'fontFamily') {
+					return value.replace(/\b(?:proportional|monospace)?SansSerif\b/g, 'sans-serif')
+						.replace(/\b(?:proportional|monospace)?Serif\b/g, 'serif')
+						.replace(/\bmonospace\b/g, 'monospace')
+						.replace(/\bdefault\b/g, 'inherit');
+				} else if (name === 'fontSize' || name === 'lineHeight') {
+					// cells are about one line of captions
+					return value.split(/\s+/).pop().replace(/^([0-9.]+)c$/, function(match, cells) {
+						return (parseFloat(cells) * 100) + '%';
+					});
+				} else if (name === 'textDecoration') {
+					return value.replace('lineThrough', 'line-through').replace(/no(Underline|LineThrough|Overline)/g, 'none');
+				}
+
+				return value;
+			},
+
+			parseRegion: function(node, styles, root, regions) {
+				var
+					t = this,
+					id = node.getAttribute('xml:id'),
+					attributes = node.attributes,
+					values = {},
+					rootExtent,
+					region,
+					i;
+
+				if (!id) {
+					return;
+				}
+
+				for (i = 0; i < attributes.length; i++) {
+					if (/#styling$/.test(attributes[i].namespaceURI || '')) {
+						values[attributes[i].localName || attributes[i].name.split(':').pop()] = $.trim(attributes[i].value);
+					}
+				}
+
+				for (i = 0; i < root.attributes.length; i++) {
+					if (/#styling$/.test(root.attributes[i].namespaceURI || '') && /extent$/.test(root.attributes[i].name)) {
+						rootExtent = t.lengths(root.attributes[i].value, null);
+					}
+				}
+
+				region = {
+					id: id,
+					origin: t.lengths(values.origin || '0% 0%', rootExtent) || [0, 0],
+					extent: t.lengths(values.extent || '100% 100%', rootExtent) || [100, 100],
+					displayAlign: /^(before|center|after)$/.test(values.displayAlign) ? values.displayAlign : 'before'
+				};
+
+				// the style of a region is inherited by the content shown in it
+				region.css = t.style(node, styles);
+				delete region.css['background-color'];
+
+				regions[id] = region;
+			},
+
+			// "10% 80%" or "64px 480px" (given the root extent) => percentages
+			lengths: function(value, rootExtent) {
+				var
+					parts = $.trim(value).split(/\s+/),
+					result = [],
+					i;
+
+				for (i = 0; i < 2 && i < parts.length; i++) {
+					if (/%$/.test(parts[i])) {
+						result.push(parseFloat(parts[i]));
+					} else if (/px$/.test(parts[i]) && rootExtent) {
+						result.push(parseFloat(parts[i]) / rootExtent[i] * 100);
+					} else if (/px$/.test(parts[i]) && rootExtent === null) {
+						result.push(parseFloat(parts[i]));
+					} else {
+						return null;
+					}
+				}
+
+				return result.length === 2 ? result : null;
+			},
+
+			timeParameters: function(root) {
+				var
+					values = {},
+					params = {},
+					multiplier,
+					i;
+
+				for (i = 0; i < root.attributes.length; i++) {
+					if (/#parameter$/.test(root.attributes[i].namespaceURI || '')) {
+						values[root.attributes[i].localName || root.attributes[i].name.split(':').pop()] = $.trim(root.attributes[i].value);
+					}
+				}
+
+				params.frameRate = parseFloat(values.frameRate) || 30;
+				multiplier = (values.frameRateMultiplier || '').split(/\s+/);
+				if (multiplier.length === 2) {
+					params.frameRate *= parseFloat(multiplier[0]) / parseFloat(multiplier[1]);
+				}
+
+				// without a tick rate, a tick is a sub-frame when a frame rate is given, a second otherwise
+				params.tickRate = parseFloat(values.tickRate) ||
+					(values.frameRate ? params.frameRate * (parseFloat(values.subFrameRate) || 1) : 1);
+
+				return params;
+			},
+
+			// a TTML time expression in seconds, or null
+			time: function(value, params) {
+				var match;
+
+				value = $.trim(value || '');
+
+				if ((match = /^([0-9]+):([0-9]{2}):([0-9]{2}(?:\.[0-9]+)?)$/.exec(value))) {
+					return match[1] * 3600 + match[2] * 60 + parseFloat(match[3]);
+				}
+				if ((match = /^([0-9]+):([0-9]{2}):([0-9]{2}):([0-9]+(?:\.[0-9]+)?)$/.exec(value))) {
+					return match[1] * 3600 + match[2] * 60 + parseInt(match[3], 10) + parseFloat(match[4]) / params.frameRate;
+				}
+				if ((match = /^([0-9]+(?:\.[0-9]+)?)(h|m|s|ms|f|t)$/.exec(value))) {
+					return parseFloat(match[1]) / {h: 1 / 3600, m: 1 / 60, s: 1, ms: 1000, f: params.frameRate, t: params.tickRate}[match[2]];
+				}
+
+				return null;
+			},
+
+			// begin and end of an element in media time; children are timed from the begin of their parent
+			timing: function(node, parentBegin, parentEnd, params) {
+				var
+					begin = this.time(node.getAttribute('begin'), params),
+					end = this.time(node.getAttribute('end'), params),
+					dur = this.time(node.getAttribute('dur'), params),
+					timing = {explicit: begin !== null || parentBegin > 0};
+
+				timing.begin = parentBegin + (begin || 0);
+
+				if (end !== null) {
+					timing.end = parentBegin + end;
+				} else if (dur !== null) {
+					timing.end = timing.begin + dur;
+				} else {
+					timing.end = parentEnd;
+				}
+
+				if (parentEnd !== null && timing.end !== null) {
+					timing.end = Math.min(timing.end, parentEnd);
+				}
+
+				return timing;
+			},
+
+			serialize: function(entries, options) {
+				var
+					t = this,
+					p = mejs.TrackFormatParser,
+					regions = entries.regions || {},
+					layout = '',
+					body = '',
+					settings,
+					region,
+					name,
+					start,
+					i,
+					text = function(value) {
+						return mejs.Utility.escapeHTML(value).replace(/\n/g, '<br/>');
+					},
+					element = function(node) {
+						var
+							tag = node.localName,
+							css = {};
+
+						if (tag === 'rt') {
+							return false;
+						}
+						if ($(node).hasClass('mejs-cue-timed')) {
+							// relative to the paragraph
+							return ['<span begin="' + p.formatTime(Math.max(parseFloat(node.getAttribute('data-time')) - start, 0), '.') + '">', '</span>'];
+						}
+
+						if (tag === 'b') {
+							css['font-weight'] = 'bold';
+						} else if (tag === 'i') {
+							css['font-style'] = 'italic';
+						} else if (tag === 'u') {
+							css['text-decoration'] = 'underline';
+						} else {
+							css = p.cueStyle(node);
+						}
+
+						css = t.serializeStyle(css);
+						return css ? ['<span' + css + '>', '</span>'] : null;
+					};
+
+				// WebVTT regions are laid out differently and are left out
+				for (name in regions) {
+					region = regions[name];
+					if (region.extent !== undefined) {
+						layout += '\t\t\t<region xml:id="' + mejs.Utility.escapeHTML(region.id) + '" tts:origin="' + region.origin.join('% ') + '%" ' +
+							'tts:extent="' + region.extent.join('% ') + '%" tts:displayAlign="' + region.displayAlign + '"' + t.serializeStyle(region.css) + '/>\n';
+					}
+				}
+
+				for (i = 0; i < entries.times.length; i++) {
+					settings = entries.times[i].cueSettings || {};
+					start = entries.times[i].start;
+
+					body += '\t\t\t<p begin="' + p.formatTime(start, '.') + '" end="' + p.formatTime(entries.times[i].stop, '.') + '"' +
+						(entries.times[i].identifier && /^[a-z_][\w.\-]*$/i.test(entries.times[i].identifier) ? ' xml:id="' + entries.times[i].identifier + '"' : '') +
+						(settings.region && regions[settings.region] && regions[settings.region].extent !== undefined ? ' region="' + mejs.Utility.escapeHTML(settings.region) + '"' : '') +
+						(settings.align ? ' tts:textAlign="' + settings.align + '"' : '') + '>' +
+						p.serializeCueText(entries.text[i], text, element) +
+						'</p>\n';
+				}
+
+				return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+					'<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="' + mejs.Utility.escapeHTML((options && options.lang) || '') + '">\n' +
+					(layout ? '\t<head>\n\t\t<layout>\n' + layout + '\t\t</layout>\n\t</head>\n' : '') +
+					'\t<body>\n\t\t<div>\n' + body + '\t\t</div>\n\t</body>\n' +
+					'</tt>\n';
+			},
+
+			// CSS => tts:* attributes
+			serializeStyle: function(css) {
+				var
+					t = this,
+					attributes = '',
+					value,
+					rgba,
+					name;
+
+				for (name in t.properties) {
+					value = css && css[t.properties[name]];
+					if (!value) {
+						continue;
+					}
+
+					if ((rgba = /^rgba\(\s*([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9.]+)\s*\)$/i.exec(value))) {
+						// TTML alphas go from 0 to 255
+						value = 'rgba(' + rgba[1] + ',' + rgba[2] + ',' + rgba[3] + ',' + Math.round(parseFloat(rgba[4]) * 255) + ')';
+					} else if (name === 'fontFamily') {
+						value = value.replace(/\bsans-serif\b/g, 'sansSerif').replace(/\binherit\b/g, 'default');
+					}
+
+					attributes += ' tts:' + name + '="' + mejs.Utility.escapeHTML(value) + '"';
+				}
+
+				return attributes;
+			}
+		},
+		// Podcasting 2.0 JSON chapters ({chapters: [{startTime, endTime, title}]})
+		// and JSON transcripts ({segments: [{startTime, endTime, body, speaker}]})
+		json: {
+			types: ['application/json', 'application/json+chapters'],
+			extensions: ['json'],
+
+			test: function(trackText) {
+				return /^\s*\{/.test(trackText);
+			},
+
+			parse: function(trackText) {
+				var
+					i = 0,
+					data = typeof trackText == 'string' ? $.parseJSON(trackText) : trackText,
+					cues = (data && (data.chapters || data.segments)) || [],
+					speaker = '',
+					text,
+					entries = {text:[], times:[]};
+
+				for(; i<cues.length; i++) {
+					text = cues[i].title || cues[i].body || '';
+
+					// only name the speaker when it changes
+					if (cues[i].speaker && cues[i].speaker !== speaker) {
+						speaker = cues[i].speaker;
+						text = speaker + ': ' + text;
+					}
+
+					entries.text.push($('<div></div>').text(text).html());
+					entries.times.push({
+						identifier: cues[i].id || '',
+						start: cues[i].startTime === 0 ? 0.200 : parseFloat(cues[i].startTime),
+						// chapters may leave out the end time: they run until the next one (or the end of the media)
+						stop: cues[i].endTime !== undefined ? parseFloat(cues[i].endTime) : (i < cues.length - 1 ? parseFloat(cues[i + 1].startTime) : 0)
+					});
+				}
+				return entries;
+			}
+		},
+		// SubRip: numbered blocks with "00:00:01,000 --> 00:00:04,000" times; <b>, <i>, <u> and <font color> tags
+		srt: {
+			label: 'SRT',
+			types: ['application/x-subrip', 'application/srt', 'text/srt'],
+			extensions: ['srt'],
+
+			test: function(trackText) {
+				return /^\uFEFF?\s*[0-9]+\s*\r?\n[0-9]{1,2}:[0-9]{2}:[0-9]{2}[,.][0-9]{1,3}\s*-->/.test(trackText);
+			},
+
+			pattern_timecode: /^([0-9]{1,2}:[0-9]{2}:[0-9]{2}[,.][0-9]{1,3})\s*-->\s*([0-9]{1,2}:[0-9]{2}:[0-9]{2}[,.][0-9]{1,3})/,
+
+			parse: function(trackText) {
+				var
+					blocks = $.trim(trackText.replace(/^\uFEFF/, '')).split(/(?:\r?\n){2,}/),
+					entries = {text:[], times:[]},
+					lines,
+					timecode,
+					start,
+					i;
+
+				for (i = 0; i < blocks.length; i++) {
+					lines = mejs.TrackFormatParser.split2(blocks[i], /\r?\n/);
+					// the number is optional in the wild
+					start = this.pattern_timecode.test(lines[0]) ? 0 : 1;
+					timecode = this.pattern_timecode.exec(lines[start] || '');
+
+					if (!timecode) {
+						continue;
+					}
+
+					entries.text.push(this.parseCueText(lines.slice(start + 1).join('\n')));
+					entries.times.push({
+						identifier: start ? $.trim(lines[0]) : '',
+						start: (mejs.Utility.convertSMPTEtoSeconds(timecode[1]) === 0) ? 0.200 : mejs.Utility.convertSMPTEtoSeconds(timecode[1]),
+						stop: mejs.Utility.convertSMPTEtoSeconds(timecode[2])
+					});
 				}
-			});
 
-			t.chapters.show();
-		}
-	});
+				return entries;
+			},
 
+			// escapes the text, then keeps <b>, <i>, <u> and <font color>, drops other tags and {\an8}-style overrides
+			parseCueText: function(text) {
+				return mejs.Utility.escapeHTML(text)
+					.replace(/\{\\[^}]*\}/g, '')
+					.replace(/&lt;(\/?)([a-z]+)((?:(?!&lt;)[^>])*)>/gi, function(tag, closing, name, attributes) {
+						var color;
 
+						name = name.toLowerCase();
 
-	mejs.language = {
-		codes:  {
-			af:'Afrikaans',
-			sq:'Albanian',
-			ar:'Arabic',
-			be:'Belarusian',
-			bg:'Bulgarian',
-			ca:'Catalan',
-			zh:'Chinese',
-			'zh-cn':'Chinese Simplified',
-			'zh-tw':'Chinese Traditional',
-			hr:'Croatian',
-			cs:'Czech',
-			da:'Danish',
-			nl:'Dutch',
-			en:'English',
-			et:'Estonian',
-			fl:'Filipino',
-			fi:'Finnish',
-			fr:'French',
-			gl:'Galician',
-			de:'German',
-			el:'Greek',
-			ht:'Haitian Creole',
-			iw:'Hebrew',
-			hi:'Hindi',
-			hu:'Hungarian',
-			is:'Icelandic',
-			id:'Indonesian',
-			ga:'Irish',
-			it:'Italian',
-			ja:'Japanese',
-			ko:'Korean',
-			lv:'Latvian',
-			lt:'Lithuanian',
-			mk:'Macedonian',
-			ms:'Malay',
-			mt:'Maltese',
-			no:'Norwegian',
-			fa:'Persian',
-			pl:'Polish',
-			pt:'Portuguese',
-			// 'pt-pt':'Portuguese (Portugal)',
-			ro:'Romanian',
-			ru:'Russian',
-			sr:'Serbian',
-			sk:'Slovak',
-			sl:'Slovenian',
-			es:'Spanish',
-			sw:'Swahili',
-			sv:'Swedish',
-			tl:'Tagalog',
-			th:'Thai',
-			tr:'Turkish',
-			uk:'Ukrainian',
-			vi:'Vietnamese',
-			cy:'Welsh',
-			yi:'Yiddish'
-		}
-	};
+						if (name === 'b' || name === 'i' || name === 'u') {
+							return '<' + closing + name + '>';
+						}
 
-	/*
-	Parses WebVTT format which should be formatted as
-	================================
-	WEBVTT
+						if (name === 'font') {
+							if (closing) {
+								return '</span>';
+							}
+							color = /color\s*=\s*(?:&quot;|')?([#a-z0-9]+)/i.exec(attributes);
+							return '<span' + (color ? ' style="color:' + color[1] + '"' : '') + '>';
+						}
 
-	1
-	00:00:01,1 --> 00:00:05,000
-	A line of text
+						return '';
+					});
+			},
 
-	2
-	00:01:15,1 --> 00:02:05,000
-	A second line of text
+			serialize: function(entries) {
+				var
+					p = mejs.TrackFormatParser,
+					out = [],
+					i,
+					text = function(value) {
+						return value.replace(/\n/g, '\r\n');
+					},
+					element = function(node) {
+						var
+							tag = node.localName,
+							tags;
 
-	===============================
+						if (tag === 'rt') {
+							return false;
+						}
+						if (tag === 'b' || tag === 'i' || tag === 'u') {
+							return ['<' + tag + '>', '</' + tag + '>'];
+						}
 
-	Adapted from: http://www.delphiki.com/html5/playr
-	*/
-	mejs.TrackFormatParser = {
-		webvtt: {
-			pattern_timecode: /^((?:[0-9]{1,2}:)?[0-9]{2}:[0-9]{2}([,.][0-9]{1,3})?) --\> ((?:[0-9]{1,2}:)?[0-9]{2}:[0-9]{2}([,.][0-9]{3})?)(.*)$/,
+						tags = p.styleTags(node) || ['', ''];
+						if (p.cueStyle(node).color) {
+							tags = ['<font color="' + p.cueStyle(node).color + '">' + tags[0], tags[1] + '</font>'];
+						}
+						return tags[0] ? tags : null;
+					};
+
+				for (i = 0; i < entries.times.length; i++) {
+					out.push(
+						(i + 1) + '\r\n' +
+						p.formatTime(entries.times[i].start, ',') + ' --> ' + p.formatTime(entries.times[i].stop, ',') + '\r\n' +
+						p.serializeCueText(entries.text[i], text, element) + '\r\n'
+					);
+				}
+
+				return out.join('\r\n');
+			}
+		},
+
+		// SubViewer 2.0: "00:00:41.00,00:00:44.40" followed by the text, with [br] line breaks
+		subviewer: {
+			types: ['text/x-subviewer'],
+			extensions: ['sub'],
+
+			test: function(trackText) {
+				return /^\s*\[INFORMATION\]/i.test(trackText) || /^[0-9]{2}:[0-9]{2}:[0-9]{2}\.[0-9]{2},[0-9]{2}:[0-9]{2}:[0-9]{2}\.[0-9]{2}\s*$/m.test(trackText);
+			},
+
+			pattern_timecode: /^([0-9]{2}:[0-9]{2}:[0-9]{2}\.[0-9]{2}),([0-9]{2}:[0-9]{2}:[0-9]{2}\.[0-9]{2})\s*$/,
 
 			parse: function(trackText) {
 				var
-					i = 0,
 					lines = mejs.TrackFormatParser.split2(trackText, /\r?\n/),
 					entries = {text:[], times:[]},
 					timecode,
 					text,
-					identifier;
-				for(; i<lines.length; i++) {
+					i;
+
+				for (i = 0; i < lines.length; i++) {
 					timecode = this.pattern_timecode.exec(lines[i]);
 
-					if (timecode && i<lines.length) {
-						if ((i - 1) >= 0 && lines[i - 1] !== '') {
-							identifier = lines[i - 1];
-						}
-						i++;
-						// grab all the (possibly multi-line) text that follows
-						text = lines[i];
-						i++;
-						while(lines[i] !== '' && i<lines.length){
-							text = text + '\n' + lines[i];
-							i++;
-						}
-						text = $.trim(text).replace(/(\b(https?|ftp|file):\/\/[-A-Z0-9+&@#\/%?=~_|!:,.;]*[-A-Z0-9+&@#\/%=~_|])/ig, "<a href='$1' target='_blank'>$1</a>");
-						// Text is in a different array so I can use .join
-						entries.text.push(text);
-						entries.times.push(
-						{
-							identifier: identifier,
-							start: (mejs.Utility.convertSMPTEtoSeconds(timecode[1]) === 0) ? 0.200 : mejs.Utility.convertSMPTEtoSeconds(timecode[1]),
-							stop: mejs.Utility.convertSMPTEtoSeconds(timecode[3]),
-							settings: timecode[5]
-						});
+					if (!timecode) {
+						continue;
 					}
-					identifier = '';
+
+					text = [];
+					while (++i < lines.length && $.trim(lines[i]) !== '') {
+						text.push(lines[i]);
+					}
+
+					entries.text.push(mejs.Utility.escapeHTML(text.join('\n')).replace(/\[br\]/gi, '\n'));
+					entries.times.push({
+						identifier: '',
+						start: (mejs.Utility.convertSMPTEtoSeconds(timecode[1]) === 0) ? 0.200 : mejs.Utility.convertSMPTEtoSeconds(timecode[1]),
+						stop: mejs.Utility.convertSMPTEtoSeconds(timecode[2])
+					});
 				}
+
 				return entries;
 			}
 		},
-		// Thanks to Justin Capella: https://github.com/johndyer/mediaelement/pull/420
-		dfxp: {
+
+		// SubStation Alpha / Advanced SubStation Alpha: Dialogue lines with the colors, bold/italic/underline
+		// and alignment of their style; \N line breaks and \b \i \u \c \an overrides, other overrides are dropped
+		ssa: {
+			types: ['text/x-ssa', 'text/x-ass'],
+			extensions: ['ssa', 'ass'],
+
+			test: function(trackText) {
+				return /^\uFEFF?\s*\[Script Info\]/i.test(trackText);
+			},
+
 			parse: function(trackText) {
-				trackText = $(trackText).filter("tt");
 				var
-					i = 0,
-					container = trackText.children("div").eq(0),
-					lines = container.find("p"),
-					styleNode = trackText.find("#" + container.attr("style")),
-					styles,
-					text,
-					entries = {text:[], times:[]};
+					lines = mejs.TrackFormatParser.split2(trackText, /\r?\n/),
+					entries = {text:[], times:[]},
+					styles = {},
+					section = '',
+					isASS = /^\s*ScriptType:\s*v4\.00\+/im.test(trackText) || /\[V4\+ Styles\]/i.test(trackText),
+					format = [],
+					fields,
+					values,
+					style,
+					line,
+					i,
+					j;
+
+				for (i = 0; i < lines.length; i++) {
+					line = $.trim(lines[i]);
+
+					if (/^\[.*\]$/.test(line)) {
+						section = line.toLowerCase();
+						format = [];
+						continue;
+					}
+
+					if (!/^(Format|Style|Dialogue):/i.test(line)) {
+						continue;
+					}
 
+					fields = line.substr(line.indexOf(':') + 1);
 
-				if (styleNode.length) {
-					var attributes = styleNode.removeAttr("id").get(0).attributes;
-					if (attributes.length) {
-						styles = {};
-						for (i = 0; i < attributes.length; i++) {
-							styles[attributes[i].name.split(":")[1]] = attributes[i].value;
-						}
+					if (/^Format:/i.test(line)) {
+						format = $.map(fields.split(','), function(name) {
+							return $.trim(name).toLowerCase();
+						});
+						continue;
+					}
+
+					// events without a Format line come in the standard order
+					if (!format.length && /^Dialogue:/i.test(line)) {
+						format = (isASS ? ['layer'] : ['marked']).concat(['start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text']);
+					}
+
+					// the last field (the text) may contain commas
+					values = fields.split(',');
+					values = values.slice(0, format.length - 1).concat(values.slice(format.length - 1).join(','));
+					fields = {};
+					for (j = 0; j < format.length; j++) {
+						fields[format[j]] = $.trim(values[j] || '');
+					}
+
+					if (/^Style:/i.test(line) && section.indexOf('styles') > -1) {
+						styles[fields.name] = fields;
+					} else if (/^Dialogue:/i.test(line) && section === '[events]' && fields.text !== '') {
+						style = styles[fields.style] || styles[fields.style.replace(/^\*/, '')] || {};
+
+						entries.text.push(fields.name ?
+							'<span class="mejs-cue-voice" data-voice="' + mejs.Utility.escapeHTML(fields.name) + '" title="' + mejs.Utility.escapeHTML(fields.name) + '">' + this.parseCueText(fields.text, style) + '</span>' :
+							this.parseCueText(fields.text, style));
+						entries.times.push({
+							identifier: '',
+							start: (mejs.Utility.convertSMPTEtoSeconds(fields.start) === 0) ? 0.200 : mejs.Utility.convertSMPTEtoSeconds(fields.start),
+							stop: mejs.Utility.convertSMPTEtoSeconds(fields.end),
+							cueSettings: this.alignment(fields.text, style, isASS)
+						});
 					}
 				}
 
-				for(i = 0; i<lines.length; i++) {
-					var style;
-					var _temp_times = {
-						start: null,
-						stop: null,
-						style: null
-					};
-					if (lines.eq(i).attr("begin")) _temp_times.start = mejs.Utility.convertSMPTEtoSeconds(lines.eq(i).attr("begin"));
-					if (!_temp_times.start && lines.eq(i-1).attr("end")) _temp_times.start = mejs.Utility.convertSMPTEtoSeconds(lines.eq(i-1).attr("end"));
-					if (lines.eq(i).attr("end")) _temp_times.stop = mejs.Utility.convertSMPTEtoSeconds(lines.eq(i).attr("end"));
-					if (!_temp_times.stop && lines.eq(i+1).attr("begin")) _temp_times.stop = mejs.Utility.convertSMPTEtoSeconds(lines.eq(i+1).attr("begin"));
-					if (styles) {
-						style = "";
-						for (var _style in styles) {
-							style += _style + ":" + styles[_style] + ";";
+				return entries;
+			},
+
+			// &HAABBGGRR (or a decimal BGR number in SSA) => rgba()
+			color: function(value) {
+				var number;
+
+				if (!value) {
+					return '';
+				}
+
+				number = /^&H/i.test(value) ? parseInt(value.replace(/^&H|&$/gi, ''), 16) : parseInt(value, 10);
+				if (isNaN(number)) {
+					return '';
+				}
+
+				return 'rgba(' + (number & 255) + ',' + ((number >> 8) & 255) + ',' + ((number >> 16) & 255) + ',' +
+					Math.round((255 - ((number >>> 24) & 255)) / 255 * 100) / 100 + ')';
+			},
+
+			parseCueText: function(text, style) {
+				var
+					t = this,
+					state = {
+						b: style.bold === '-1' || style.bold === '1',
+						i: style.italic === '-1' || style.italic === '1',
+						u: style.underline === '-1' || style.underline === '1',
+						color: t.color(style.primarycolour)
+					},
+					parts = text.split(/(\{[^}]*\})/),
+					html = '',
+					segment,
+					i;
+
+				for (i = 0; i < parts.length; i++) {
+					if (parts[i].charAt(0) === '{') {
+						parts[i].replace(/\\(b|i|u)([01])(?![0-9])|\\1?c&H([0-9a-f]+)&?/gi, function(match, name, on, color) {
+							if (name) {
+								state[name.toLowerCase()] = on === '1';
+							} else {
+								state.color = t.color('&H' + color);
+							}
+						});
+						continue;
+					}
+
+					if (parts[i] === '') {
+						continue;
+					}
+
+					segment = mejs.Utility.escapeHTML(parts[i])
+						.replace(/\\N|\\n/g, '\n')
+						.replace(/\\h/g, '&nbsp;');
+
+					if (state.u) {
+						segment = '<u>' + segment + '</u>';
+					}
+					if (state.i) {
+						segment = '<i>' + segment + '</i>';
+					}
+					if (state.b) {
+						segment = '<b>' + segment + '</b>';
+					}
+					// white is the default caption color already
+					if (state.color && state.color !== 'rgba(255,255,255,1)') {
+						segment = '<span style="color:' + state.color + '">' + segment + '</span>';
+					}
+
+					html += segment;
+				}
+
+				return html;
+			},
+
+			// style (or \an, \a override) alignment => WebVTT-like cue settings
+			alignment: function(text, style, isASS) {
+				var
+					override = /\\an([1-9])/.exec(text),
+					legacy = /\\a([0-9]+)/.exec(text),
+					value = override ? parseInt(override[1], 10) : parseInt(style.alignment, 10),
+					settings = {};
+
+				// SSA numbers: 1-3 bottom, 5-7 top, 9-11 middle
+				if (legacy && !override) {
+					isASS = false;
+					value = parseInt(legacy[1], 10);
+				}
+				if (!isASS && value > 3) {
+					value = value >= 9 ? value - 5 : value + 2;
+				}
+
+				if (isNaN(value) || value === 2) {
+					return settings;
+				}
+
+				settings.align = ['left', 'center', 'right'][(value - 1) % 3];
+				if (value >= 7) {
+					settings.line = 0;
+					settings.snapToLines = true;
+				} else if (value >= 4) {
+					settings.line = 50;
+					settings.snapToLines = false;
+					settings.lineAlign = 'center';
+				}
+
+				return settings;
+			}
+		},
+
+		// Name of the parser for a format given as a parser name ('webvtt', 'dfxp'...), a file extension ('vtt', 'ttml'...)
+		// or a MIME type, or undefined
+		formatName: function(format) {
+			var
+				p = mejs.TrackFormatParser,
+				name;
+
+			format = (format || '').toLowerCase();
+
+			if (p[format] && p[format].parse) {
+				return format;
+			}
+
+			for (name in p) {
+				if (p[name] && p[name].parse && ($.inArray(format, p[name].extensions || []) > -1 || $.inArray(format, p[name].types || []) > -1)) {
+					return name;
+				}
+			}
+		},
+
+		// Writes parsed entries out in a format that has a serializer ('webvtt', 'srt' or 'dfxp'), or returns null;
+		// options are {lang} for the xml:lang of TTML
+		serialize: function(entries, format, options) {
+			var
+				p = mejs.TrackFormatParser,
+				name = p.formatName(format);
+
+			return name && p[name].serialize ? p[name].serialize(entries, options || {}) : null;
+		},
+
+		// Converts a track from one format to another, e.g. convert(text, 'srt', 'vtt'); with no `fromFormat`,
+		// it is detected. Returns null if either format is unknown
+		convert: function(trackText, fromFormat, toFormat, options) {
+			var
+				p = mejs.TrackFormatParser,
+				from = fromFormat ? p.formatName(fromFormat) : p.detect(trackText);
+
+			return from && p.formatName(toFormat) ? p.serialize(p[from].parse(trackText), toFormat, options) : null;
+		},
+
+		// "01:02:03.456", with the given separator before the milliseconds
+		formatTime: function(seconds, separator) {
+			var
+				ms = Math.round((isFinite(seconds) ? Math.max(seconds, 0) : 0) * 1000),
+				pad = function(n, length) {
+					n = String(n);
+					while (n.length < length) {
+						n = '0' + n;
+					}
+					return n;
+				};
+
+			return pad(Math.floor(ms / 3600000), 2) + ':' + pad(Math.floor(ms / 60000) % 60, 2) + ':' + pad(Math.floor(ms / 1000) % 60, 2) +
+				separator + pad(ms % 1000, 3);
+		},
+
+		// Writes out the HTML of a parsed cue: `text(string)` escapes the text, and `element(node)` returns the
+		// [open, close] markup of an element, null to keep only its content, or false to leave it out
+		serializeCueText: function(html, text, element) {
+			var
+				// an inert document: nothing in the cue loads or runs
+				root = document.implementation.createHTMLDocument('').createElement('div'),
+				write = function(node) {
+					var
+						out = '',
+						child,
+						tags;
+
+					for (child = node.firstChild; child; child = child.nextSibling) {
+						if (child.nodeType === 3) {
+							out += text(child.nodeValue);
+						} else if (child.nodeType === 1 && child.localName === 'br') {
+							out += text('\n');
+						} else if (child.nodeType === 1) {
+							tags = element(child);
+							if (tags !== false) {
+								out += (tags ? tags[0] : '') + write(child) + (tags ? tags[1] : '');
+							}
 						}
 					}
-					if (style) _temp_times.style = style;
-					if (_temp_times.start === 0) _temp_times.start = 0.200;
-					entries.times.push(_temp_times);
-					text = $.trim(lines.eq(i).html()).replace(/(\b(https?|ftp|file):\/\/[-A-Z0-9+&@#\/%?=~_|!:,.;]*[-A-Z0-9+&@#\/%=~_|])/ig, "<a href='$1' target='_blank'>$1</a>");
-					entries.text.push(text);
+
+					return out;
+				};
+
+			// a blank line would end the cue
+			root.innerHTML = $.trim(html || '').replace(/\n{2,}/g, '\n');
+			return write(root);
+		},
+
+		// The inline style of an element, as {property: value}
+		cueStyle: function(node) {
+			var
+				css = {},
+				declarations = (node.getAttribute('style') || '').split(';'),
+				colon,
+				i;
+
+			for (i = 0; i < declarations.length; i++) {
+				colon = declarations[i].indexOf(':');
+				if (colon > 0) {
+					css[$.trim(declarations[i].substr(0, colon)).toLowerCase()] = $.trim(declarations[i].substr(colon + 1));
+				}
+			}
+
+			return css;
+		},
+
+		// <b>, <i> and <u> for the bold, italic and underlined styles of an element, or null
+		styleTags: function(node) {
+			var
+				open = '',
+				close = '',
+				css = mejs.TrackFormatParser.cueStyle(node);
+
+			if (/bold|[6-9]00/.test(css['font-weight'] || '')) {
+				open += '<b>';
+				close = '</b>' + close;
+			}
+			if (css['font-style'] === 'italic') {
+				open += '<i>';
+				close = '</i>' + close;
+			}
+			if (/underline/.test(css['text-decoration'] || '')) {
+				open += '<u>';
+				close = '</u>' + close;
+			}
+
+			return open ? [open, close] : null;
+		},
+
+		// Name of the parser for a track, from its MIME type, file extension or content
+		detect: function(trackText, url, type) {
+			var
+				p = mejs.TrackFormatParser,
+				extension = url ? url.split(/[?#]/)[0].split('.').pop().toLowerCase() : '',
+				name;
+
+			type = (type || '').split(';')[0].toLowerCase();
+
+			for (name in p) {
+				if (p[name] && p[name].types && $.inArray(type, p[name].types) > -1) {
+					return name;
+				}
+			}
+
+			for (name in p) {
+				if (p[name] && p[name].test && p[name].test(trackText)) {
+					return name;
 				}
-				return entries;
 			}
+
+			for (name in p) {
+				if (p[name] && p[name].extensions && $.inArray(extension, p[name].extensions) > -1) {
+					return name;
+				}
+			}
+
+			return 'webvtt';
 		},
+
+		parse: function(trackText, url, type) {
+			var p = mejs.TrackFormatParser;
+
+			return p[p.detect(trackText, url, type)].parse(trackText);
+		},
+
 		split2: function (text, regex) {
 			// normal version for compliant browsers
 			// see below for IE fix
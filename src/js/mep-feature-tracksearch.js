@@ -0,0 +1,169 @@
+/**
+ * Track search plugin
+ *
+ * A search box that looks for words in the captions, subtitles, chapters and metadata tracks through
+ * `player.searchTracks()`, lists the hits and marks them on the time rail; clicking a hit seeks to it.
+ * Needs the `tracks` feature.
+ */
+(function($) {
+
+	$.extend(mejs.MepDefaults, {
+		// Options passed to searchTracks(), e.g. {kinds: ['captions'], lang: 'en'}
+		trackSearchOptions: {},
+		// Most hits listed and marked on the rail
+		trackSearchLimit: 50,
+		trackSearchText: ''
+	});
+
+	$.extend(MediaElementPlayer.prototype, {
+
+		trackSearchResults: [],
+
+		buildtracksearch: function(player, controls, layers, media) {
+			var
+				t = this,
+				searchTitle = t.options.trackSearchText ? t.options.trackSearchText : mejs.i18n.t('mejs.track-search');
+
+			player.trackSearchButton =
+				$('<div class="mejs-button mejs-tracksearch-button">' +
+					'<button type="button" aria-controls="' + t.id + '_tracksearch" aria-expanded="false" title="' + searchTitle + '" aria-label="' + searchTitle + '"></button>' +
+				'</div>')
+				.appendTo(controls)
+				.click(function() {
+					if (player.trackSearchLayer.is(':visible')) {
+						player.hideTrackSearch();
+					} else {
+						player.showTrackSearch();
+					}
+				});
+
+			// like the playlist: over the video, under the audio player
+			player.trackSearchLayer =
+				$('<div id="' + t.id + '_tracksearch" class="mejs-tracksearch ' + (player.isVideo ? 'mejs-tracksearch-layer mejs-layer' : 'mejs-tracksearch-panel') + '" role="search">' +
+					'<input type="search" class="mejs-tracksearch-input" placeholder="' + searchTitle + '" aria-label="' + searchTitle + '" />' +
+					'<ul class="mejs-tracksearch-results" aria-live="polite"></ul>' +
+				'</div>')
+				.hide();
+
+			if (player.isVideo) {
+				player.trackSearchLayer.insertBefore(layers.find('.mejs-overlay-play'));
+			} else {
+				player.trackSearchLayer.insertAfter(player.container);
+			}
+
+			player.trackSearchRail = controls.find('.mejs-time-total');
+
+			player.trackSearchLayer
+				.on('keydown', 'input', function(e) {
+					if (e.keyCode === 27) { // esc
+						player.hideTrackSearch();
+						player.trackSearchButton.find('button').focus();
+						return false;
+					}
+					// typing must not trigger the player shortcuts
+					e.stopPropagation();
+				})
+				.on('input', 'input', mejs.Utility.debounce(function() {
+					player.setTrackSearch(this.value);
+				}, 200))
+				.on('click', '.mejs-tracksearch-result', function() {
+					media.setCurrentTime(player.trackSearchResults[parseInt($(this).attr('data-index'), 10)].start);
+					if (player.isVideo) {
+						player.hideTrackSearch();
+					}
+				})
+				.on('keydown', '.mejs-tracksearch-result', function(e) {
+					if (e.keyCode === 13 || e.keyCode === 32) { // enter, space
+						$(this).click();
+						return false;
+					}
+				});
+
+			player.trackSearchRail
+				// seek to the hit itself rather than to the pixel under the mouse
+				.on('mousedown touchstart', '.mejs-time-search-hit', function(e) {
+					e.stopPropagation();
+				})
+				.on('click', '.mejs-time-search-hit', function() {
+					media.setCurrentTime(player.trackSearchResults[parseInt($(this).attr('data-index'), 10)].start);
+					return false;
+				});
+
+			media.addEventListener('durationchange', function() {
+				player.drawTrackSearchHits();
+			}, false);
+		},
+
+		cleantracksearch: function(player) {
+			if (player.trackSearchLayer) {
+				player.trackSearchLayer.remove();
+				player.trackSearchRail.find('.mejs-time-search-hit').remove();
+			}
+		},
+
+		// Searches the tracks, lists the hits and marks them on the rail; an empty query clears them
+		setTrackSearch: function(query) {
+			var
+				t = this,
+				list = t.trackSearchLayer.find('.mejs-tracksearch-results').empty(),
+				results = $.trim(query) ? t.searchTracks(query, t.options.trackSearchOptions).slice(0, t.options.trackSearchLimit) : [],
+				i;
+
+			t.trackSearchResults = results;
+			t.trackSearchLayer.find('.mejs-tracksearch-input').val(query);
+
+			for (i = 0; i < results.length; i++) {
+				list.append(
+					'<li class="mejs-tracksearch-result" data-index="' + i + '" tabindex="0">' +
+						'<span class="mejs-tracksearch-time">' + mejs.Utility.secondsToTimeCode(results[i].start, t.options) + '</span>' +
+						'<span class="mejs-tracksearch-snippet">' + results[i].snippet + '</span>' +
+					'</li>'
+				);
+			}
+
+			if ($.trim(query) && !results.length) {
+				list.append('<li class="mejs-tracksearch-empty">' + mejs.i18n.t('mejs.track-search-none') + '</li>');
+			}
+
+			t.drawTrackSearchHits();
+			t.container.trigger('tracksearch', [query, results]);
+		},
+
+		drawTrackSearchHits: function() {
+			var
+				t = this,
+				duration = t.media.duration,
+				i;
+
+			t.trackSearchRail.find('.mejs-time-search-hit').remove();
+
+			if (!duration || !isFinite(duration)) {
+				return;
+			}
+
+			for (i = 0; i < t.trackSearchResults.length; i++) {
+				$('<span class="mejs-time-search-hit" data-index="' + i + '"></span>')
+					.attr('title', $('<div>' + t.trackSearchResults[i].snippet + '</div>').text())
+					.css('left', (100 * Math.min(t.trackSearchResults[i].start, duration) / duration) + '%')
+					.appendTo(t.trackSearchRail);
+			}
+		},
+
+		showTrackSearch: function() {
+			var t = this;
+
+			t.trackSearchLayer.show().find('.mejs-tracksearch-input').focus();
+			t.trackSearchButton.addClass('mejs-tracksearch-open')
+				.find('button').attr('aria-expanded', 'true');
+		},
+
+		hideTrackSearch: function() {
+			var t = this;
+
+			t.trackSearchLayer.hide();
+			t.trackSearchButton.removeClass('mejs-tracksearch-open')
+				.find('button').attr('aria-expanded', 'false');
+		}
+	});
+
+})(mejs.$);
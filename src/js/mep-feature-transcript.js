@@ -0,0 +1,300 @@
+/**
+ * Transcript plugin
+ *
+ * Lists the cues of a subtitles or captions track as a transcript that follows playback: the current
+ * line is highlighted and scrolled into view, clicking a line seeks to it, a search box filters the lines
+ * and the whole text can be downloaded. Needs the `tracks` feature.
+ *
+ * The transcript goes in the element given by `transcriptSelector`, or in a panel under the player
+ * that a control bar button opens.
+ */
+(function($) {
+
+	$.extend(mejs.MepDefaults, {
+		// #id or .class of the element to put the transcript in; if empty, it goes in a panel under the player
+		transcriptSelector: '',
+		// Show the panel when the player is built
+		transcriptOpen: false,
+		// Language of the track to show; if empty, the selected captions, or else the first subtitles or captions track
+		transcriptLanguage: '',
+		// Keep the current line in view while playing
+		transcriptAutoScroll: true,
+		transcriptText: ''
+	});
+
+	$.extend(MediaElementPlayer.prototype, {
+
+		transcriptTrack: null,
+
+		// index of the highlighted cue
+		transcriptCurrent: -1,
+
+		transcriptHovered: false,
+
+		buildtranscript: function(player, controls, layers, media) {
+			var
+				t = this,
+				transcriptTitle = t.options.transcriptText ? t.options.transcriptText : mejs.i18n.t('mejs.transcript'),
+				searchTitle = mejs.i18n.t('mejs.transcript-search'),
+				downloadTitle = mejs.i18n.t('mejs.transcript-download'),
+				container = player.options.transcriptSelector ? $(player.options.transcriptSelector).first() : $();
+
+			player.transcriptLayer =
+				$('<div id="' + t.id + '_transcript" class="mejs-transcript" role="region" aria-label="' + transcriptTitle + '">' +
+					'<div class="mejs-transcript-toolbar">' +
+						'<input type="search" class="mejs-transcript-search" placeholder="' + searchTitle + '" aria-label="' + searchTitle + '" />' +
+						'<button type="button" class="mejs-transcript-download">' + downloadTitle + '</button>' +
+					'</div>' +
+					'<ul class="mejs-transcript-lines"></ul>' +
+				'</div>');
+
+			if (container.length) {
+				player.transcriptLayer.appendTo(container);
+			} else {
+				player.transcriptButton =
+					$('<div class="mejs-button mejs-transcript-button">' +
+						'<button type="button" aria-controls="' + t.id + '_transcript" aria-expanded="false" title="' + transcriptTitle + '" aria-label="' + transcriptTitle + '"></button>' +
+					'</div>')
+					.appendTo(controls)
+					.click(function() {
+						if (player.transcriptLayer.is(':visible')) {
+							player.hideTranscript();
+						} else {
+							player.showTranscript();
+						}
+					});
+
+				player.transcriptLayer
+					.addClass('mejs-transcript-panel')
+					.insertAfter(player.container)
+					.hide();
+
+				if (player.options.transcriptOpen) {
+					player.showTranscript();
+				}
+			}
+
+			player.transcriptLines = player.transcriptLayer.find('.mejs-transcript-lines');
+
+			player.transcriptLayer
+				.on('click', '.mejs-transcript-line', function() {
+					var time = parseFloat($(this).attr('data-start'));
+
+					media.setCurrentTime(time);
+					player.transcriptCurrent = -1;
+					player.updateTranscript(time);
+				})
+				.on('keydown', '.mejs-transcript-line', function(e) {
+					if (e.keyCode === 13 || e.keyCode === 32) { // enter, space
+						$(this).click();
+						return false;
+					}
+				})
+				.on('keydown', 'input', function(e) {
+					// typing in the search box must not trigger the player shortcuts
+					e.stopPropagation();
+				})
+				.on('input', '.mejs-transcript-search', mejs.Utility.debounce(function() {
+					player.searchTranscript(this.value);
+				}, 150))
+				.on('click', '.mejs-transcript-download', function() {
+					player.downloadTranscript();
+				})
+				// don't pull the list away from a viewer who is reading or scrolling it
+				.on('mouseenter touchstart', '.mejs-transcript-lines', function() {
+					player.transcriptHovered = true;
+				})
+				.on('mouseleave touchend', '.mejs-transcript-lines', function() {
+					player.transcriptHovered = false;
+				});
+
+			// tracks load one after the other, playlists replace them, and the transcript may follow the captions
+			player.transcriptLanguage = player.options.transcriptLanguage;
+			t.container.on('trackloaded trackchange playlistchange', function() {
+				player.setTranscriptTrack(player.transcriptLanguage);
+			});
+
+			media.addEventListener('timeupdate', function() {
+				player.updateTranscript(media.currentTime);
+			}, false);
+
+			player.renderTranscript();
+		},
+
+		cleantranscript: function(player) {
+			if (player.transcriptLayer) {
+				player.transcriptLayer.remove();
+			}
+		},
+
+		// Shows the subtitles or captions track with this srclang; with no language, follows the captions as `transcriptLanguage` describes
+		setTranscriptTrack: function(lang) {
+			var
+				t = this,
+				track = null,
+				i;
+
+			t.transcriptLanguage = lang || '';
+
+			for (i = 0; i < t.tracks.length; i++) {
+				if ((t.tracks[i].kind === 'subtitles' || t.tracks[i].kind === 'captions') && t.tracks[i].isLoaded && t.tracks[i].entries) {
+					if (lang ? t.tracks[i].srclang === lang : (t.selectedTrack ? t.tracks[i] === t.selectedTrack : !track)) {
+						track = t.tracks[i];
+					}
+				}
+			}
+
+			if (track === t.transcriptTrack) {
+				return;
+			}
+
+			t.transcriptTrack = track;
+			t.renderTranscript();
+		},
+
+		renderTranscript: function() {
+			var
+				t = this,
+				track = t.transcriptTrack,
+				html = '',
+				i;
+
+			t.transcriptCurrent = -1;
+
+			if (!track) {
+				t.transcriptLines.html('<li class="mejs-transcript-empty">' + mejs.i18n.t('mejs.transcript-none') + '</li>');
+				t.transcriptLayer.removeAttr('lang');
+				return;
+			}
+
+			for (i = 0; i < track.entries.times.length; i++) {
+				html +=
+					'<li class="mejs-transcript-line" data-index="' + i + '" data-start="' + track.entries.times[i].start + '" tabindex="0">' +
+						'<span class="mejs-transcript-time">' + mejs.Utility.secondsToTimeCode(track.entries.times[i].start, t.options) + '</span>' +
+						// line breaks inside a cue read as spaces
+						'<span class="mejs-transcript-text">' + mejs.TrackFormatParser.webvtt.parseCueText(track.entries.text[i].replace(/<br\s*\/?>/gi, ' ')) + '</span>' +
+					'</li>';
+			}
+
+			t.transcriptLayer.attr('lang', track.srclang);
+			t.transcriptLines.html(html);
+
+			t.transcriptLines.find('.mejs-transcript-line').each(function() {
+				$(this).data('text', $(this).find('.mejs-transcript-text').text().replace(/\s+/g, ' '));
+				$(this).data('html', $(this).find('.mejs-transcript-text').html());
+			});
+
+			t.searchTranscript(t.transcriptLayer.find('.mejs-transcript-search').val());
+			t.updateTranscript(t.media.currentTime);
+		},
+
+		updateTranscript: function(time) {
+			var
+				t = this,
+				active = t.transcriptTrack ? t.getActiveCues(t.transcriptTrack, time) : [],
+				current = active.length ? active[0] : -1,
+				line,
+				list = t.transcriptLines;
+
+			if (current === t.transcriptCurrent) {
+				return;
+			}
+
+			t.transcriptCurrent = current;
+			list.find('.mejs-transcript-active').removeClass('mejs-transcript-active').removeAttr('aria-current');
+
+			if (current === -1) {
+				return;
+			}
+
+			line = list.find('.mejs-transcript-line[data-index="' + current + '"]')
+				.addClass('mejs-transcript-active')
+				.attr('aria-current', 'true');
+
+			if (t.options.transcriptAutoScroll && !t.transcriptHovered && line.is(':visible')) {
+				// keep the current line in the upper third of the list
+				list.scrollTop(list.scrollTop() + line.position().top - list.position().top - list.height() / 3);
+			}
+		},
+
+		// Shows only the lines containing the query, with the matches highlighted; an empty query shows them all
+		searchTranscript: function(query) {
+			var
+				t = this,
+				expression;
+
+			query = $.trim(query || '');
+			expression = new RegExp(query.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&'), 'gi');
+
+			t.transcriptLines.find('.mejs-transcript-line').each(function() {
+				var
+					line = $(this),
+					text = line.data('text'),
+					html = '',
+					last = 0,
+					match;
+
+				if (!query) {
+					line.show().find('.mejs-transcript-text').html(line.data('html'));
+					return;
+				}
+
+				expression.lastIndex = 0;
+				while ((match = expression.exec(text))) {
+					html += mejs.Utility.escapeHTML(text.substring(last, match.index)) + '<mark>' + mejs.Utility.escapeHTML(match[0]) + '</mark>';
+					last = match.index + match[0].length;
+				}
+
+				line.toggle(last > 0);
+				if (last > 0) {
+					line.find('.mejs-transcript-text').html(html + mejs.Utility.escapeHTML(text.substring(last)));
+				}
+			});
+
+			t.transcriptLayer.toggleClass('mejs-transcript-searching', query !== '');
+		},
+
+		// The transcript as plain text, one "[time] line" per cue
+		getTranscriptText: function() {
+			var
+				t = this,
+				lines = [];
+
+			t.transcriptLines.find('.mejs-transcript-line').each(function() {
+				lines.push('[' + $(this).find('.mejs-transcript-time').text() + '] ' + $.trim($(this).data('text')));
+			});
+
+			return lines.join('\r\n');
+		},
+
+		downloadTranscript: function() {
+			var t = this;
+
+			mejs.Utility.saveText(t.getTranscriptText(), (t.transcriptTrack ? t.transcriptTrack.srclang + '-' : '') + 'transcript.txt');
+		},
+
+		showTranscript: function() {
+			var t = this;
+
+			t.transcriptLayer.show();
+			if (t.transcriptButton) {
+				t.transcriptButton.addClass('mejs-transcript-open')
+					.find('button').attr('aria-expanded', 'true');
+			}
+
+			t.transcriptCurrent = -1;
+			t.updateTranscript(t.media.currentTime);
+		},
+
+		hideTranscript: function() {
+			var t = this;
+
+			t.transcriptLayer.hide();
+			if (t.transcriptButton) {
+				t.transcriptButton.removeClass('mejs-transcript-open')
+					.find('button').attr('aria-expanded', 'false');
+			}
+		}
+	});
+
+})(mejs.$);
@@ -1,10 +1,195 @@
+// Visual controls: picture adjustments applied to the video through CSS filters (native video only)
 (function($) {
 
-	MediaElementPlayer.prototype.buildvisualcontrols = function(player, controls, layers, media) {
-		if (!player.isVideo)
-			return;
+	// adjustable filters, with the CSS filter function, range and neutral value of each one
+	var visualFilters = [
+		{name: 'brightness', css: 'brightness', unit: '%', min: 0, max: 200, step: 1, value: 100},
+		{name: 'contrast', css: 'contrast', unit: '%', min: 0, max: 200, step: 1, value: 100},
+		{name: 'saturation', css: 'saturate', unit: '%', min: 0, max: 200, step: 1, value: 100},
+		{name: 'hueRotate', css: 'hue-rotate', unit: 'deg', min: -180, max: 180, step: 1, value: 0},
+		{name: 'grayscale', css: 'grayscale', unit: '%', min: 0, max: 100, step: 1, value: 0}
+	];
 
-		// add visual controls (HSV)
-	}
+	$.extend(mejs.MepDefaults, {
+		// Initial picture adjustments, e.g. {brightness: 120, contrast: 110};
+		// brightness, contrast, saturation and grayscale are percentages, hueRotate is in degrees
+		visualFilter: {},
+		visualcontrolsText: ''
+	});
 
-})(mejs.$);
\ No newline at end of file
+	$.extend(MediaElementPlayer.prototype, {
+
+		buildvisualcontrols: function(player, controls, layers, media) {
+			// CSS filters don't reach Flash or Silverlight content
+			if (!player.isVideo || media.pluginType !== 'native')
+				return;
+
+			var
+				t = this,
+				visualTitle = t.options.visualcontrolsText ? t.options.visualcontrolsText : mejs.i18n.t('mejs.visual-controls'),
+				resetTitle = mejs.i18n.t('mejs.visual-reset'),
+				hoverTimeout,
+				list,
+				i;
+
+			player.visualcontrolsButton =
+				$('<div class="mejs-button mejs-visualcontrols-button">' +
+						'<button type="button" role="button" aria-haspopup="true" aria-owns="' + t.id + '_visualcontrols" title="' + visualTitle + '" aria-label="' + visualTitle + '"></button>' +
+						'<div id="' + t.id + '_visualcontrols" class="mejs-visualcontrols-selector mejs-offscreen" aria-expanded="false" aria-hidden="true">' +
+							'<ul></ul>' +
+							'<button type="button" class="mejs-visualcontrols-reset" tabindex="-1">' + resetTitle + '</button>' +
+						'</div>' +
+					'</div>')
+					.appendTo(controls)
+
+					// hover
+					.hover(function() {
+						clearTimeout(hoverTimeout);
+						player.showVisualcontrolsSelector();
+					}, function() {
+						hoverTimeout = setTimeout(function() {
+							player.hideVisualcontrolsSelector();
+						}, 500);
+					})
+
+					// keyboard menu activation
+					.on('keydown', function(e) {
+						switch (e.keyCode) {
+							case 13: // enter
+								if ($(e.target).is('.mejs-visualcontrols-button > button')) {
+									player.showVisualcontrolsSelector();
+									$(this).find('input[type=range]').first().focus();
+									return false;
+								}
+								return true;
+							case 27: // esc
+								player.hideVisualcontrolsSelector();
+								$(this).children('button').focus();
+								return false;
+							default:
+								return true;
+						}
+					})
+
+					// close panel when tabbing away
+					.on('focusout', mejs.Utility.debounce(function() {
+						setTimeout(function() {
+							if (!$(document.activeElement).closest('.mejs-visualcontrols-button').length) {
+								player.hideVisualcontrolsSelector();
+							}
+						}, 0);
+					}, 100))
+
+					// sliders
+					.on('input change', 'input[type=range]', function() {
+						var filter = {};
+
+						filter[$(this).attr('data-filter')] = parseFloat(this.value);
+						player.setVisualFilter(filter);
+					})
+
+					.on('click', '.mejs-visualcontrols-reset', function() {
+						player.resetVisualFilter();
+					});
+
+			// Handle click so that screen readers can toggle the panel
+			player.visualcontrolsButton.children('button').click(function() {
+				if ($(this).siblings('.mejs-visualcontrols-selector').hasClass('mejs-offscreen')) {
+					player.showVisualcontrolsSelector();
+					$(this).siblings('.mejs-visualcontrols-selector').find('input[type=range]').first().focus();
+				} else {
+					player.hideVisualcontrolsSelector();
+				}
+			});
+
+			list = player.visualcontrolsButton.find('ul');
+
+			for (i = 0; i < visualFilters.length; i++) {
+				list.append(
+					'<li>' +
+						'<label for="' + t.id + '_visual_' + visualFilters[i].name + '">' + mejs.i18n.t('mejs.visual-' + visualFilters[i].css) + '</label>' +
+						'<input type="range" id="' + t.id + '_visual_' + visualFilters[i].name + '" data-filter="' + visualFilters[i].name + '"' +
+							' min="' + visualFilters[i].min + '" max="' + visualFilters[i].max + '" step="' + visualFilters[i].step + '" value="' + visualFilters[i].value + '" tabindex="-1" />' +
+					'</li>'
+				);
+			}
+
+			player.visualFilter = {};
+			player.resetVisualFilter();
+			player.setVisualFilter(player.options.visualFilter);
+		},
+
+		cleanvisualcontrols: function(player) {
+			player.container.find('.mejs-mediaelement').css({'-webkit-filter': '', 'filter': ''});
+		},
+
+		// Changes one or more picture adjustments, e.g. player.setVisualFilter({contrast: 130, grayscale: 100})
+		setVisualFilter: function(filter) {
+			var
+				t = this,
+				css = [],
+				value,
+				i;
+
+			if (!t.visualFilter) {
+				return;
+			}
+
+			for (i = 0; i < visualFilters.length; i++) {
+				if (filter && typeof filter[visualFilters[i].name] === 'number' && !isNaN(filter[visualFilters[i].name])) {
+					value = Math.min(visualFilters[i].max, Math.max(visualFilters[i].min, filter[visualFilters[i].name]));
+					t.visualFilter[visualFilters[i].name] = value;
+				}
+
+				value = t.visualFilter[visualFilters[i].name];
+
+				if (value !== visualFilters[i].value) {
+					css.push(visualFilters[i].css + '(' + value + visualFilters[i].unit + ')');
+				}
+
+				t.visualcontrolsButton.find('input[data-filter="' + visualFilters[i].name + '"]')
+					.val(value)
+					.attr('aria-valuetext', value + (visualFilters[i].unit === 'deg' ? '\u00b0' : '%'));
+			}
+
+			t.container.find('.mejs-mediaelement').css({
+				'-webkit-filter': css.join(' '),
+				'filter': css.join(' ')
+			});
+
+			t.visualcontrolsButton.toggleClass('mejs-visualcontrols-active', css.length > 0);
+		},
+
+		resetVisualFilter: function() {
+			var
+				t = this,
+				filter = {},
+				i;
+
+			for (i = 0; i < visualFilters.length; i++) {
+				filter[visualFilters[i].name] = visualFilters[i].value;
+			}
+
+			t.setVisualFilter(filter);
+		},
+
+		hideVisualcontrolsSelector: function() {
+			this.visualcontrolsButton.find('.mejs-visualcontrols-selector')
+				.addClass('mejs-offscreen')
+				.attr('aria-expanded', 'false')
+				.attr('aria-hidden', 'true')
+				.find('input, button') // make the panel not focusable
+				.attr('tabindex', '-1');
+		},
+
+		showVisualcontrolsSelector: function() {
+			this.visualcontrolsButton.find('.mejs-visualcontrols-selector')
+				.removeClass('mejs-offscreen')
+				.attr('aria-expanded', 'true')
+				.attr('aria-hidden', 'false')
+				.find('input, button')
+				.attr('tabindex', '0');
+		}
+	});
+
+})(mejs.$);
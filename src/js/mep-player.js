@@ -269,6 +269,16 @@
 
 		controlsAreVisible: true,
 
+		// timed cues, sorted by time (see addCue)
+		cues: null,
+
+		// media time when the cues were last checked
+		cueTime: -1,
+
+		cueTimer: null,
+
+		cueSeeking: false,
+
 		init: function() {
 
 			var
@@ -790,6 +800,26 @@
 					}
 				}, false);
 
+				// timed cues (see addCue)
+				t.media.addEventListener('timeupdate', function() {
+					t.updateCues(false);
+				}, false);
+				t.media.addEventListener('seeking', function() {
+					t.cueSeeking = true;
+				}, false);
+				t.media.addEventListener('seeked', function() {
+					t.updateCues(true);
+				}, false);
+				t.media.addEventListener('play', function() {
+					t.updateCues(false);
+				}, false);
+				t.media.addEventListener('ratechange', function() {
+					t.updateCues(false);
+				}, false);
+				t.media.addEventListener('pause', function() {
+					clearTimeout(t.cueTimer);
+				}, false);
+
 				// resize on the first play
 				t.media.addEventListener('loadedmetadata', function() {
 
@@ -1341,6 +1371,10 @@
 
 					for (var j = 0, jl = keyAction.keys.length; j < jl; j++) {
 						if (e.keyCode == keyAction.keys[j]) {
+							// an action with nothing to do leaves the key to the next action or the browser
+							if (keyAction.isEnabled && !keyAction.isEnabled(player, media)) {
+								break;
+							}
 							if (typeof(e.preventDefault) == "function") e.preventDefault();
 							keyAction.action(player, media, e.keyCode, e);
 							return false;
@@ -1354,7 +1388,7 @@
 
 		findTracks: function() {
 			var t = this,
-				tracktags = t.$media.find('track');
+				tracktags = t.$media.children('track');
 
 			// store for use by plugins
 			t.tracks = [];
@@ -1367,6 +1401,8 @@
 					src: track.attr('src'),
 					kind: track.attr('kind'),
 					label: track.attr('label') || '',
+					type: track.attr('type') || '',
+					isDefault: track.attr('default') !== undefined,
 					entries: [],
 					isLoaded: false
 				});
@@ -1456,9 +1492,114 @@
 				t.media.setSrc(src);
 			}
 		},
+		/*
+		Calls `callback(media, time, cue)` when playback crosses `time` (in seconds).
+		Options:
+			once: remove the cue after it fired
+			tolerance: how many seconds early the cue may fire, and how far past it a seek may land and still fire it
+		A cue fires once per crossing: seeking past it does not fire it, seeking back before it arms it again.
+		Returns the cue object, to be passed to removeCue().
+		*/
+		addCue: function(time, callback, options) {
+			var
+				t = this,
+				cue = $.extend({once: false, tolerance: 0.1}, options, {time: parseFloat(time), callback: callback, fired: false}),
+				i = 0;
+
+			if (isNaN(cue.time) || typeof callback !== 'function') {
+				return null;
+			}
+
+			if (!t.cues) {
+				t.cues = [];
+			}
+
+			// keep cues sorted by time
+			while (i < t.cues.length && t.cues[i].time <= cue.time) {
+				i++;
+			}
+			t.cues.splice(i, 0, cue);
+
+			if (t.media && !t.media.paused) {
+				t.updateCues(false);
+			}
+
+			return cue;
+		},
+		removeCue: function(cue) {
+			var
+				t = this,
+				i = t.cues ? $.inArray(cue, t.cues) : -1;
+
+			if (i > -1) {
+				t.cues.splice(i, 1);
+			}
+		},
+		// Fires the cues crossed since the last call, and wakes up right on time for the next one
+		// instead of waiting for a `timeupdate` that may come too late
+		updateCues: function(seeked) {
+			var
+				t = this,
+				now = t.media.currentTime,
+				rate = t.media.playbackRate || 1,
+				fire = [],
+				next = null,
+				from,
+				cue,
+				i;
+
+			clearTimeout(t.cueTimer);
+
+			if (!t.cues || !t.cues.length) {
+				t.cueTime = now;
+				return;
+			}
+
+			// wait for the seek to finish
+			if (t.cueSeeking && !seeked) {
+				return;
+			}
+
+			// going backwards without a seek event (e.g. on a new source) counts as a seek
+			if (seeked || now < t.cueTime) {
+				seeked = true;
+				t.cueSeeking = false;
+				for (i = 0; i < t.cues.length; i++) {
+					t.cues[i].fired = false;
+				}
+			}
+
+			for (i = 0; i < t.cues.length; i++) {
+				cue = t.cues[i];
+				from = seeked ? now - cue.tolerance : t.cueTime;
+
+				if (!cue.fired && cue.time > from && cue.time <= now + cue.tolerance) {
+					cue.fired = true;
+					fire.push(cue);
+				} else if (next === null && !cue.fired && cue.time > now) {
+					next = cue;
+				}
+			}
+
+			t.cueTime = now;
+
+			for (i = 0; i < fire.length; i++) {
+				if (fire[i].once) {
+					t.removeCue(fire[i]);
+				}
+				fire[i].callback(t.media, now, fire[i]);
+			}
+
+			if (next && !t.media.paused && (next.time - now) / rate < 0.5) {
+				t.cueTimer = setTimeout(function() {
+					t.updateCues(false);
+				}, (next.time - now) / rate * 1000);
+			}
+		},
 		remove: function() {
 			var t = this, featureIndex, feature;
 
+			clearTimeout(t.cueTimer);
 			t.container.prev('.mejs-offscreen').remove();
 
 			// invoke features cleanup
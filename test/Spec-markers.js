@@ -0,0 +1,70 @@
+describe("MediaElementPlayer markers", function() {
+	var player;
+
+	function createPlayer(options) {
+		$('body').prepend('<video width="640" height="360" id="markers-player">' +
+			'<source type="video/mp4" src="../media/echo-hereweare.mp4" ></source>' +
+			'</video>');
+		player = new MediaElementPlayer('#markers-player', $.extend({enableAutosize: false, features: ['progress', 'markers']}, options));
+		Object.defineProperty(player.media, 'duration', {value: 200, configurable: true});
+		player.setmarkers(player.controls);
+	}
+
+	afterEach(function() {
+		player.remove();
+		$('#markers-player').remove();
+		player = null;
+	});
+
+	it("places the markers on the rail in time order", function() {
+		createPlayer({markerColor: '#00ff00', markers: [
+			150,
+			{time: 50, label: 'Intro <b>', color: '#ff0000', className: 'chapter'},
+			{time: 300}
+		]});
+
+		var elements = player.controls.find('.mejs-time-total .mejs-time-marker');
+
+		expect(elements.length).toEqual(3);
+		expect($.map(player.markers, function(marker) {
+			return marker.time;
+		})).toEqual([50, 150, 300]);
+
+		expect(player.markers[0].element[0].style.left).toEqual('25%');
+		expect(player.markers[0].element.hasClass('chapter')).toEqual(true);
+		expect(player.markers[0].element.find('.mejs-time-marker-label').text()).toEqual('Intro <b>');
+		expect(player.markers[0].element.attr('aria-label')).toEqual('Intro <b>');
+		expect(player.markers[1].element[0].style.left).toEqual('75%');
+		expect(player.markers[1].element.css('display')).not.toEqual('none');
+		// past the end
+		expect(player.markers[2].element.css('display')).toEqual('none');
+	});
+
+	it("places markers added later and removes them", function() {
+		createPlayer();
+
+		var marker = player.addMarker({time: 20, label: 'Later'});
+
+		expect(marker.element[0].style.left).toEqual('10%');
+		expect(player.markers).toEqual([marker]);
+
+		player.removeMarker(20);
+
+		expect(player.markers.length).toEqual(0);
+		expect(player.controls.find('.mejs-time-marker').length).toEqual(0);
+		expect(player.cues.length).toEqual(0);
+	});
+
+	it("seeks to a marker when it is clicked", function() {
+		var seeks = [];
+
+		createPlayer({markers: [{time: 42}]});
+		spyOn(player.media, 'setCurrentTime').andCallFake(function(time) {
+			seeks.push(time);
+		});
+
+		player.markers[0].element.click();
+
+		expect(seeks).toEqual([42]);
+	});
+});
@@ -0,0 +1,325 @@
+describe("mejs.PlaylistFormatParser", function() {
+
+	it("detects the format from the MIME type, extension and content", function() {
+		var p = mejs.PlaylistFormatParser;
+
+		expect(p.detect('', 'list.json', 'application/xspf+xml')).toEqual('xspf');
+		expect(p.detect('', 'list.xspf?v=2', '')).toEqual('xspf');
+		expect(p.detect('#EXTM3U', 'list', '')).toEqual('m3u');
+		expect(p.detect('[{"src": "a.mp3"}]', 'list', '')).toEqual('json');
+		expect(p.detect('a.mp3\nb.mp3', 'list', '')).toEqual('m3u');
+	});
+
+	it("parses extended M3U titles and durations", function() {
+		var items = mejs.PlaylistFormatParser.parse(
+			'#EXTM3U\n' +
+			'#EXTINF:242,The Band - First Song\n' +
+			'songs/first.mp3\n' +
+			'\n' +
+			'#EXTINF:-1,Live Stream\n' +
+			'http://example.com/live.mp3\n', 'http://example.com/lists/album.m3u');
+
+		expect(items.length).toEqual(2);
+		expect(items[0].src).toEqual('http://example.com/lists/songs/first.mp3');
+		expect(items[0].artist).toEqual('The Band');
+		expect(items[0].title).toEqual('First Song');
+		expect(items[0].duration).toEqual(242);
+		expect(items[1].title).toEqual('Live Stream');
+		expect(items[1].duration).toEqual(0);
+	});
+
+	it("keeps an HLS manifest as a single item", function() {
+		var items = mejs.PlaylistFormatParser.parse('#EXTM3U\n#EXT-X-TARGETDURATION:10\nsegment1.ts\n', 'stream.m3u8');
+
+		expect(items.length).toEqual(1);
+		expect(items[0].src[0].src).toEqual('stream.m3u8');
+	});
+
+	it("parses XSPF tracks", function() {
+		var items = mejs.PlaylistFormatParser.parse(
+			'<?xml version="1.0" encoding="UTF-8"?>' +
+			'<playlist version="1" xmlns="http://xspf.org/ns/0/"><trackList>' +
+				'<track><location>one.ogg</location><title>One</title><creator>Someone</creator><image>one.jpg</image><duration>61000</duration></track>' +
+				'<track><title>No location</title></track>' +
+			'</trackList></playlist>', 'http://example.com/album.xspf');
+
+		expect(items.length).toEqual(1);
+		expect(items[0].src).toEqual('http://example.com/one.ogg');
+		expect(items[0].title).toEqual('One');
+		expect(items[0].artist).toEqual('Someone');
+		expect(items[0].poster).toEqual('http://example.com/one.jpg');
+		expect(items[0].duration).toEqual(61);
+	});
+
+	it("parses JSON items", function() {
+		var items = mejs.PlaylistFormatParser.parse(
+			'{"items": [{"src": "clip.mp4", "type": "video/mp4", "title": "Intro", "tracks": [{"src": "clip.vtt", "srclang": "en"}]}, {"title": "No source"}, {"src": []}, null]}',
+			'http://example.com/course/lesson.json');
+
+		expect(items.length).toEqual(1);
+		expect(items[0].src[0]).toEqual({src: 'http://example.com/course/clip.mp4', type: 'video/mp4'});
+		expect(items[0].tracks[0].src).toEqual('http://example.com/course/clip.vtt');
+	});
+
+	it("parses podcast RSS feeds", function() {
+		var items = mejs.PlaylistFormatParser.parse(
+			'<?xml version="1.0" encoding="UTF-8"?>' +
+			'<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:podcast="https://podcastindex.org/namespace/1.0"><channel>' +
+				'<title>The Show</title><language>en-US</language><itunes:image href="show.jpg"/>' +
+				'<item><title>Episode 2</title><itunes:author>Host</itunes:author><pubDate>Tue, 02 Jan 2024 10:00:00 GMT</pubDate>' +
+					'<enclosure url="ep2.mp3" type="audio/mpeg" length="1"/><itunes:duration>1:02:03</itunes:duration><itunes:image href="ep2.jpg"/>' +
+					'<podcast:chapters url="ep2.json" type="application/json+chapters"/>' +
+					'<podcast:transcript url="ep2.html" type="text/html"/><podcast:transcript url="ep2.vtt" type="text/vtt"/>' +
+				'</item>' +
+				'<item><title>Episode 1</title><enclosure url="http://cdn.example.com/ep1.mp3" type="audio/mpeg" length="1"/></item>' +
+				'<item><title>Announcement without audio</title></item>' +
+			'</channel></rss>', 'http://example.com/feed.rss');
+
+		expect(items.length).toEqual(2);
+		expect(items[0].src[0]).toEqual({src: 'http://example.com/ep2.mp3', type: 'audio/mpeg'});
+		expect(items[0].title).toEqual('Episode 2');
+		expect(items[0].artist).toEqual('Host');
+		expect(items[0].poster).toEqual('http://example.com/ep2.jpg');
+		expect(items[0].duration).toEqual(3723);
+		expect(items[0].date.getTime()).toEqual(Date.UTC(2024, 0, 2, 10));
+		expect(items[0].tracks[0].kind).toEqual('chapters');
+		expect(items[0].tracks[1]).toEqual({src: 'http://example.com/ep2.vtt', type: 'text/vtt', kind: 'subtitles', srclang: 'en-us'});
+		expect(items[1].src[0].src).toEqual('http://cdn.example.com/ep1.mp3');
+		expect(items[1].poster).toEqual('http://example.com/show.jpg');
+	});
+
+	it("parses Atom feeds with enclosure links", function() {
+		var items = mejs.PlaylistFormatParser.parse(
+			'<feed xmlns="http://www.w3.org/2005/Atom"><title>Feed</title>' +
+				'<entry><title>Talk</title><published>2024-03-01T00:00:00Z</published><link rel="enclosure" href="talk.ogg" type="audio/ogg"/></entry>' +
+			'</feed>', 'http://example.com/feed');
+
+		expect(items.length).toEqual(1);
+		expect(items[0].src[0]).toEqual({src: 'http://example.com/talk.ogg', type: 'audio/ogg'});
+		expect(items[0].date.getTime()).toEqual(Date.UTC(2024, 2, 1));
+	});
+});
+
+describe("MediaElementPlayer playlist", function() {
+	var player;
+
+	function trigger(media, type) {
+		var e = document.createEvent('HTMLEvents');
+		e.initEvent(type, false, false);
+		media.dispatchEvent(e);
+	}
+
+	function createPlayer(options, inner, tag) {
+		tag = tag || 'video';
+		$('body').prepend('<' + tag + ' width="640" height="360" id="playlist-player">' +
+			'<source type="' + tag + '/mp4" src="../media/echo-hereweare.mp4" ></source>' +
+			(inner || '') +
+			'</' + tag + '>');
+		player = new MediaElementPlayer('#playlist-player', $.extend({enableAutosize: false}, options));
+	}
+
+	afterEach(function() {
+		player.remove();
+		$('#playlist-player').remove();
+		player = null;
+	});
+
+	it("escapes item fields in the playlist panel", function() {
+		createPlayer({features: ['playlist'], playlist: [
+			{src: 'a.mp4', title: '<b>One</b>', poster: 'x.jpg" onerror="alert(1)'}
+		]});
+
+		var entry = player.playlistLayer.find('.mejs-playlist-entry');
+
+		expect(entry.find('img').attr('src')).toEqual('x.jpg" onerror="alert(1)');
+		expect(entry.find('img').attr('onerror')).toEqual(undefined);
+		expect(entry.find('.mejs-playlist-entry-title').text()).toEqual('<b>One</b>');
+	});
+
+	it("falls back to an empty playlist when the playlist file is malformed", function() {
+		spyOn(mejs.$, 'ajax').andCallFake(function(settings) {
+			settings.success('{"items": [{"src": ');
+		});
+
+		createPlayer({features: ['playlist'], playlistUrl: 'list.json'});
+
+		expect(player.playlist).toEqual(null);
+		expect(player.playlistButton.is(':visible')).toEqual(false);
+	});
+
+	it("repeats a single item in repeat all mode when there is no playlist", function() {
+		createPlayer({features: ['playpause', 'loop', 'playlist'], loopMode: 'all'});
+
+		expect(player.options.loop).toEqual(true);
+
+		trigger(player.media, 'ended');
+
+		expect(player.media.paused).toEqual(false);
+	});
+
+	it("does not crossfade into an item that will not follow", function() {
+		createPlayer({features: ['playpause', 'loop', 'playlist'], playlistCrossfade: 5, playlist: [
+			{src: '../media/echo-hereweare.mp4'},
+			{src: 'next.mp4'}
+		]}, '', 'audio');
+
+		// playing, 2 seconds before the end
+		Object.defineProperty(player.media, 'duration', {value: 100, configurable: true});
+		Object.defineProperty(player.media, 'currentTime', {value: 98, configurable: true});
+		Object.defineProperty(player.media, 'paused', {value: false, configurable: true});
+
+		player.setLoopMode('one');
+		trigger(player.media, 'timeupdate');
+
+		expect(player.playlistFadeVolume).toEqual(null);
+		expect(player.playlistPreloader.paused).toEqual(true);
+
+		player.setLoopMode('off');
+		player.options.playlistAutoAdvance = false;
+		trigger(player.media, 'timeupdate');
+
+		expect(player.playlistFadeVolume).toEqual(null);
+		expect(player.playlistPreloader.paused).toEqual(true);
+
+		player.options.playlistAutoAdvance = true;
+		trigger(player.media, 'timeupdate');
+
+		expect(player.playlistFadeVolume).not.toEqual(null);
+	});
+
+	it("keeps repeating an A-B range instead of moving on at the end", function() {
+		createPlayer({features: ['playpause', 'abloop', 'playlist', 'endedhtml'], playlist: [
+			{src: '../media/echo-hereweare.mp4'},
+			{src: 'next.mp4'}
+		]});
+
+		player.setLoopRange(2, 5);
+
+		expect(player.loopRangeCue.time).toEqual(5);
+		expect($.inArray(player.loopRangeCue, player.cues)).toEqual(0);
+
+		trigger(player.media, 'ended');
+
+		expect(player.endedLayer.css('display')).toEqual('none');
+
+		player.clearLoopRange();
+
+		expect(player.cues.length).toEqual(0);
+	});
+
+	it("drops the audio descriptions of the previous item", function() {
+		createPlayer({features: ['playpause', 'tracks', 'descriptions', 'playlist'], playlist: [
+			{src: '../media/echo-hereweare.mp4'},
+			{src: 'next.mp4'}
+		]}, '<track src="descriptions.vtt" srclang="en" kind="descriptions">');
+
+		player.tracks[0].entries = {text: ['A door opens.'], times: [{start: 1, stop: 2}]};
+		player.tracks[0].isLoaded = true;
+		player.setDescriptionsTrack(player.tracks[0]);
+
+		expect(player.descriptionsCues.length).toEqual(1);
+		expect(player.descriptionsButton.css('display')).not.toEqual('none');
+
+		player.playlistNext();
+
+		expect(player.descriptionsTrack).toEqual(null);
+		expect(player.descriptionsCues.length).toEqual(0);
+		expect(player.cues.length).toEqual(0);
+		expect(player.descriptionsButton.css('display')).toEqual('none');
+	});
+
+	it("empties the transcript of the previous item", function() {
+		createPlayer({features: ['playpause', 'tracks', 'transcript', 'playlist'], playlist: [
+			{src: '../media/echo-hereweare.mp4'},
+			{src: 'next.mp4'}
+		]}, '<track src="subtitles.vtt" srclang="en" kind="subtitles">');
+
+		player.tracks[0].entries = {text: ['<b>Hello</b><br>there<img src="x" onerror="alert(1)">'], times: [{start: 1, stop: 2}]};
+		player.tracks[0].isLoaded = true;
+		player.setTranscriptTrack('');
+
+		expect(player.transcriptLines.find('.mejs-transcript-text').html()).toEqual('<b>Hello</b> there');
+
+		player.playlistNext();
+
+		expect(player.transcriptTrack).toEqual(null);
+		expect(player.transcriptLines.find('.mejs-transcript-line').length).toEqual(0);
+		expect(player.transcriptLines.find('.mejs-transcript-empty').length).toEqual(1);
+	});
+
+	it("moves on to the next item when one ends", function() {
+		createPlayer({features: ['playpause', 'playlist'], playlist: [
+			{src: '../media/echo-hereweare.mp4', title: 'One'},
+			{src: 'next.mp4', title: 'Two'}
+		]});
+
+		jasmine.Clock.useMock();
+		trigger(player.media, 'ended');
+		jasmine.Clock.tick(1);
+
+		expect(player.playlist.currentIndex).toEqual(1);
+		expect(player.playlistLayer.find('.mejs-playlist-selected').attr('data-index')).toEqual('1');
+	});
+
+	it("binds the tracks listeners once across playlist items", function() {
+		createPlayer({features: ['playpause', 'tracks', 'playlist'], playlist: [
+			{src: '../media/echo-hereweare.mp4', tracks: [{src: 'one.vtt', srclang: 'en'}]},
+			{src: 'next.mp4', tracks: [{src: 'two.vtt', srclang: 'en'}]},
+			{src: 'last.mp4', tracks: [{src: 'three.vtt', srclang: 'en', kind: 'chapters'}]}
+		]}, '<track src="one.vtt" srclang="en" kind="subtitles">');
+
+		player.playlistNext();
+		player.playlistNext();
+
+		spyOn(player, 'displayCaptions');
+		spyOn(player, 'updateMetadataCues');
+		spyOn(player, 'displayChapters');
+		spyOn(player, 'adjustLanguageBox');
+
+		trigger(player.media, 'timeupdate');
+		trigger(player.media, 'seeked');
+		trigger(player.media, 'loadedmetadata');
+		player.container.trigger('controlsresize');
+
+		expect(player.displayCaptions.callCount).toEqual(1);
+		expect(player.updateMetadataCues.callCount).toEqual(2);
+		expect(player.displayChapters.callCount).toEqual(1);
+		expect(player.adjustLanguageBox.callCount).toEqual(1);
+	});
+
+	it("links related items to web pages only", function() {
+		createPlayer({features: ['playpause', 'endedhtml'], endedRelated: [
+			{title: 'Page', url: 'https://example.com/talk'},
+			{title: 'Relative', url: 'talks/next.html?from=end'},
+			{title: 'Script', url: 'javascript:alert(1)'},
+			{title: 'Hidden script', url: ' JavaScript:alert(1)'},
+			{title: 'Data', url: 'data:text/html,<script>alert(1)</script>'}
+		]});
+
+		var links = player.endedLayer.find('.mejs-endedhtml-item');
+
+		expect(links.eq(0).attr('href')).toEqual('https://example.com/talk');
+		expect(links.eq(1).attr('href')).toEqual('talks/next.html?from=end');
+		expect(links.eq(2).attr('href')).toEqual('#');
+		expect(links.eq(3).attr('href')).toEqual('#');
+		expect(links.eq(4).attr('href')).toEqual('#');
+	});
+
+	it("shows the end screen with the related items and the next one", function() {
+		createPlayer({features: ['playpause', 'endedhtml'], endedCountdown: 5, endedRelated: [
+			{title: 'Elsewhere <i>', url: 'other.html'},
+			{title: 'Next talk', src: 'next.mp4'}
+		]});
+
+		trigger(player.media, 'ended');
+
+		expect(player.endedLayer.css('display')).not.toEqual('none');
+		expect(player.endedLayer.find('.mejs-endedhtml-item-title').first().text()).toEqual('Elsewhere <i>');
+		expect(player.endedLayer.find('.mejs-endedhtml-next-title').text()).toEqual('Next talk');
+
+		player.cancelEndedCountdown();
+		trigger(player.media, 'play');
+
+		expect(player.endedLayer.css('display')).toEqual('none');
+	});
+});
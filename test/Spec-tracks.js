@@ -0,0 +1,538 @@
+describe("mejs.TrackFormatParser.webvtt", function() {
+
+	var webvtt = mejs.TrackFormatParser.webvtt;
+
+	it("parses cue settings", function() {
+		var entries = webvtt.parse(
+			'WEBVTT\n\n' +
+			'00:00:01.000 --> 00:00:04.000 line:0 position:20%,line-left size:60% align:start\n' +
+			'Top left\n\n' +
+			'00:00:05.000 --> 00:00:06.000 vertical:rl line:50%,center align:middle\n' +
+			'Vertical\n');
+
+		expect(entries.times[0].cueSettings).toEqual({line: 0, snapToLines: true, position: 20, positionAlign: 'line-left', size: 60, align: 'start'});
+		expect(entries.times[1].cueSettings).toEqual({vertical: 'rl', line: 50, snapToLines: false, lineAlign: 'center', align: 'center'});
+	});
+
+	it("reads STYLE and REGION blocks", function() {
+		var entries = webvtt.parse(
+			'WEBVTT\n\n' +
+			'STYLE\n' +
+			'::cue(.yellow) { color: yellow }\n\n' +
+			'REGION\n' +
+			'id:fred width:40% lines:3\n' +
+			'regionanchor:0%,100% viewportanchor:10%,90%\n\n' +
+			'00:00:01.000 --> 00:00:04.000 region:fred\n' +
+			'In a region\n');
+
+		expect(entries.styles).toEqual(['::cue(.yellow) { color: yellow }']);
+		expect(entries.regions.fred.width).toEqual(40);
+		expect(entries.regions.fred.viewportanchor).toEqual([10, 90]);
+		expect(entries.text.length).toEqual(1);
+		expect(entries.times[0].cueSettings.region).toEqual('fred');
+	});
+
+	it("turns inline tags into HTML", function() {
+		expect(webvtt.parseCueText('<v.loud Bob>Hi <c.yellow>there</c> <b>bold</b>'))
+			.toEqual('<span class="mejs-cue-voice loud" data-voice="Bob" title="Bob">Hi <span class="mejs-cue-class yellow">there</span> <b>bold</b></span>');
+		expect(webvtt.parseCueText('<ruby>漢<rt>kan</rt></ruby><script>x</script>'))
+			.toEqual('<ruby>漢<rt>kan</rt></ruby>x');
+		expect(webvtt.parseCueText('one <00:00:05.500>two'))
+			.toEqual('one <span class="mejs-cue-timed" data-time="5.5">two</span>');
+		expect(webvtt.parseCueText('<c.x"onmouseover="alert(1)>hi</c>'))
+			.toEqual('<span class="mejs-cue-class">hi</span>');
+	});
+
+	it("scopes ::cue styles to the player", function() {
+		expect(webvtt.scopeStyles('::cue(v[voice="Bob"]) { color: red }\n::cue-region { color: blue }', '#mep_0'))
+			.toEqual('#mep_0 .mejs-captions-text span.mejs-cue-voice[data-voice="Bob"] { color: red }');
+	});
+});
+
+describe("mejs.TrackFormatParser", function() {
+
+	var p = mejs.TrackFormatParser;
+
+	it("detects the format from the MIME type, content and extension", function() {
+		expect(p.detect('', 'captions.vtt', 'application/x-subrip')).toEqual('srt');
+		expect(p.detect('1\n00:00:01,000 --> 00:00:02,000\nHi', 'captions.txt', '')).toEqual('srt');
+		expect(p.detect('[Script Info]\nScriptType: v4.00+', '', '')).toEqual('ssa');
+		expect(p.detect('', 'movie.sub', '')).toEqual('subviewer');
+		expect(p.detect('00:00:01.000 --> 00:00:02.000\nHi', 'captions', '')).toEqual('webvtt');
+	});
+
+	it("parses SRT with font colors", function() {
+		var entries = p.srt.parse('1\r\n00:00:01,000 --> 00:00:04,500\r\n<font color="#ff0000">Red</font> <i>text</i>\r\n\r\n2\r\n00:01:05,000 --> 00:01:07,000\r\nTwo\r\nlines\r\n');
+
+		expect(entries.text).toEqual(['<span style="color:#ff0000">Red</span> <i>text</i>', 'Two\nlines']);
+		expect(entries.times[0].stop).toEqual(4.5);
+		expect(entries.times[1].start).toEqual(65);
+	});
+
+	it("escapes SRT text outside the allowed tags", function() {
+		expect(p.srt.parseCueText('<img src=x onerror=alert(1) & <b>bold</b>'))
+			.toEqual('&lt;img src=x onerror=alert(1) &amp; <b>bold</b>');
+		expect(p.srt.parseCueText('<font color=\'#00ff00\' onclick="x">Green</font> <script>x</script>'))
+			.toEqual('<span style="color:#00ff00">Green</span> x');
+	});
+
+	it("parses SubViewer", function() {
+		var entries = p.subviewer.parse('[INFORMATION]\n[END INFORMATION]\n[SUBTITLE]\n00:00:41.00,00:00:44.40\nFirst[br]Second\n');
+
+		expect(entries.text).toEqual(['First\nSecond']);
+		expect(entries.times[0].start).toEqual(41);
+		expect(entries.times[0].stop).toEqual(44.4);
+	});
+
+	it("parses SSA/ASS dialogue, styles and overrides", function() {
+		var entries = p.ssa.parse(
+			'[Script Info]\nScriptType: v4.00+\n\n' +
+			'[V4+ Styles]\n' +
+			'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic, Alignment\n' +
+			'Style: Default,Arial,20,&H00FFFFFF,0,0,2\n' +
+			'Style: Sign,Arial,20,&H0000FFFF,-1,0,8\n\n' +
+			'[Events]\n' +
+			'Format: Layer, Start, End, Style, Name, Text\n' +
+			'Dialogue: 0,0:00:01.00,0:00:04.00,Default,,Hello, {\\i1}world{\\i0}\\Nagain\n' +
+			'Dialogue: 0,0:00:05.00,0:00:06.00,Sign,,{\\pos(10,10)}Exit\n');
+
+		expect(entries.text).toEqual(['Hello, <i>world</i>\nagain', '<span style="color:rgba(255,255,0,1)"><b>Exit</b></span>']);
+		expect(entries.times[0].cueSettings).toEqual({});
+		expect(entries.times[1].cueSettings).toEqual({align: 'center', line: 0, snapToLines: true});
+	});
+
+	it("reads SSA events that come without a Format line", function() {
+		var entries = p.ssa.parse(
+			'[Script Info]\nScriptType: v4.00+\n\n' +
+			'[Events]\n' +
+			'Dialogue: 0,0:00:01.00,0:00:02.00,Default,Bob,0,0,0,,Hi, there\n');
+
+		expect(entries.text).toEqual(['<span class="mejs-cue-voice" data-voice="Bob" title="Bob">Hi, there</span>']);
+		expect(entries.times[0].start).toEqual(1);
+		expect(entries.times[0].stop).toEqual(2);
+	});
+
+	it("maps legacy SSA alignment numbers", function() {
+		var entries = p.ssa.parse(
+			'[Script Info]\nScriptType: v4.00\n\n' +
+			'[V4 Styles]\n' +
+			'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic, Alignment\n' +
+			'Style: Default,Arial,20,&H00FFFFFF,0,0,2\n' +
+			'Style: Top,Arial,20,&H00FFFFFF,0,0,6\n\n' +
+			'[Events]\n' +
+			'Format: Marked, Start, End, Style, Name, Text\n' +
+			'Dialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,{\\a5}Top left\n' +
+			'Dialogue: Marked=0,0:00:02.00,0:00:03.00,Top,,Top center\n' +
+			'Dialogue: Marked=0,0:00:03.00,0:00:04.00,Default,,{\\a7}Top right\n' +
+			'Dialogue: Marked=0,0:00:04.00,0:00:05.00,Default,,{\\a9}Middle left\n' +
+			'Dialogue: Marked=0,0:00:05.00,0:00:06.00,Default,,{\\a11}Middle right\n' +
+			'Dialogue: Marked=0,0:00:06.00,0:00:07.00,Default,,{\\a3}Bottom right\n');
+
+		expect(entries.times[0].cueSettings).toEqual({align: 'left', line: 0, snapToLines: true});
+		expect(entries.times[1].cueSettings).toEqual({align: 'center', line: 0, snapToLines: true});
+		expect(entries.times[2].cueSettings).toEqual({align: 'right', line: 0, snapToLines: true});
+		expect(entries.times[3].cueSettings).toEqual({align: 'left', line: 50, snapToLines: false, lineAlign: 'center'});
+		expect(entries.times[4].cueSettings).toEqual({align: 'right', line: 50, snapToLines: false, lineAlign: 'center'});
+		expect(entries.times[5].cueSettings).toEqual({align: 'right'});
+	});
+
+	it("parses TTML regions, styles and time expressions", function() {
+		var entries = p.dfxp.parse(
+			'<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="25" ttp:tickRate="10000000">' +
+				'<head><styling><style xml:id="yellow" tts:color="#ffff00ff"/></styling>' +
+				'<layout><region xml:id="top" tts:origin="10% 5%" tts:extent="80% 20%" tts:displayAlign="before"/></layout></head>' +
+				'<body><div begin="10s">' +
+					'<p xml:id="c1" begin="00:00:01:12" end="00:00:03:00" region="top" style="yellow">One<br/>two</p>' +
+					'<p begin="40000000t" dur="1s">Plain <span tts:fontStyle="italic">and <span tts:color="red">red</span></span></p>' +
+				'</div></body>' +
+			'</tt>');
+
+		expect(entries.text).toEqual([
+			'<span style="color:rgba(255,255,0,1);">One\ntwo</span>',
+			'Plain <span style="font-style:italic;">and <span style="color:red;">red</span></span>'
+		]);
+		expect(entries.times[0]).toEqual({identifier: 'c1', start: 11.48, stop: 13, cueSettings: {region: 'top'}});
+		expect(entries.times[1].start).toEqual(14);
+		expect(entries.times[1].stop).toEqual(15);
+		expect(entries.regions.top.origin).toEqual([10, 5]);
+		expect(entries.regions.top.extent).toEqual([80, 20]);
+		expect(entries.regions.top.displayAlign).toEqual('before');
+	});
+
+	it("detects and parses prefixed EBU-TT-D documents", function() {
+		var doc =
+			'<?xml version="1.0" encoding="UTF-8"?>\n' +
+			'<tt:tt ttp:timeBase="media" xml:lang="en" xmlns:tt="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" xmlns:tts="http://www.w3.org/ns/ttml#styling">' +
+				'<tt:head><tt:styling><tt:style xml:id="s1" tts:color="#ffffff" tts:fontFamily="x;background:url(a.png)"/></tt:styling>' +
+				'<tt:layout><tt:region xml:id="bottom" tts:origin="10% 80%" tts:extent="80% 20%" tts:displayAlign="after&quot; onclick=&quot;x"/></tt:layout></tt:head>' +
+				'<tt:body><tt:div><tt:p begin="00:00:01.000" end="00:00:02.000" region="bottom" style="s1">Hello<tt:br/>there</tt:p></tt:div></tt:body>' +
+			'</tt:tt>',
+			entries;
+
+		expect(p.detect(doc, '', '')).toEqual('dfxp');
+		expect(p.detect('<tt ttp:timeBase="media" xmlns="http://www.w3.org/ns/ttml"><body/></tt>', '', '')).toEqual('dfxp');
+
+		entries = p.dfxp.parse(doc);
+
+		expect(entries.text).toEqual(['<span style="color:#ffffff;">Hello\nthere</span>']);
+		expect(entries.times[0].start).toEqual(1);
+		expect(entries.regions.bottom.displayAlign).toEqual('before');
+	});
+
+	it("writes tracks out as WebVTT, SRT and TTML", function() {
+		var entries = p.webvtt.parse('WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.500 align:start\n<v Esme>Fish &amp; <b>chips</b></v>\n<i>two</i>\n');
+
+		expect(p.serialize(entries, 'vtt')).toEqual('WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.500 align:start\n<v Esme>Fish &amp; <b>chips</b></v>\n<i>two</i>\n');
+		expect(p.serialize(entries, 'srt')).toEqual('1\r\n00:00:01,000 --> 00:00:04,500\r\nFish & <b>chips</b>\r\n<i>two</i>\r\n');
+		expect(p.serialize(entries, 'ttml', {lang: 'en'})).toContain('<p begin="00:00:01.000" end="00:00:04.500" tts:textAlign="start">' +
+			'Fish &amp; <span tts:fontWeight="bold">chips</span><br/><span tts:fontStyle="italic">two</span></p>');
+		expect(p.serialize(entries, 'json')).toEqual(null);
+	});
+
+	it("converts between formats", function() {
+		var ttml = p.convert('1\n00:01:02,500 --> 00:01:05,000\n<font color="#ff0000">Red</font>\n', 'srt', 'ttml');
+
+		expect(p.detect(ttml)).toEqual('dfxp');
+		expect(p.dfxp.parse(ttml).text).toEqual(['<span style="color:#ff0000;">Red</span>']);
+		expect(p.convert(ttml, '', 'srt')).toEqual('1\r\n00:01:02,500 --> 00:01:05,000\r\n<font color="#ff0000">Red</font>\r\n');
+		expect(p.convert('WEBVTT', 'vtt', 'docx')).toEqual(null);
+	});
+});
+
+describe("MediaElementPlayer tracks", function() {
+	var player;
+
+	function createPlayer(options, inner) {
+		$('body').prepend('<video width="640" height="360" id="tracks-player">' +
+			'<source type="video/mp4" src="../media/echo-hereweare.mp4" ></source>' +
+			(inner || '<track src="../media/chapters.vtt" srclang="en" kind="chapters">') +
+			'</video>');
+		player = new MediaElementPlayer('#tracks-player', $.extend({enableAutosize: false, features: ['progress', 'tracks']}, options));
+		player.hasFocus = true;
+	}
+
+	function countKeyActions(keyCode) {
+		return $.grep(player.options.keyActions, function(keyAction) {
+			return $.inArray(keyCode, keyAction.keys) > -1;
+		}).length;
+	}
+
+	function keydown(keyCode) {
+		return player.onkeydown(player, player.media, {keyCode: keyCode, preventDefault: function() {}});
+	}
+
+	afterEach(function() {
+		player.remove();
+		$('#tracks-player').remove();
+		player = null;
+	});
+
+	it("binds chapter navigation and caption delay keys once across track rebuilds", function() {
+		createPlayer();
+
+		player.rebuildtracks();
+		player.rebuildtracks();
+
+		expect(countKeyActions(34)).toEqual(1);
+		expect(countKeyActions(71)).toEqual(1);
+		expect(player.controls.find('.mejs-time-float-chapter').length).toEqual(1);
+		expect(player.controls.find('.mejs-chapters-button').length).toEqual(1);
+	});
+
+	it("drops a track whose file cannot be parsed and loads the next one", function() {
+		spyOn(mejs.$, 'ajax').andCallFake(function(settings) {
+			settings.success(/\.json$/.test(settings.url) ? '{"chapters": [{"startTime": ' : 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n');
+		});
+
+		createPlayer({}, '<track src="../media/chapters.json" srclang="en" kind="chapters"><track src="../media/captions.vtt" srclang="fr" kind="subtitles">');
+
+		expect(player.tracks.length).toEqual(1);
+		expect(player.tracks[0].srclang).toEqual('fr');
+		expect(player.tracks[0].isLoaded).toEqual(true);
+		expect(player.tracks[0].entries.text).toEqual(['Hello']);
+		expect(player.isLoadingTrack).toEqual(false);
+	});
+
+	it("leaves PAGE UP and PAGE DOWN to the page without chapters", function() {
+		createPlayer();
+
+		expect(keydown(34)).toEqual(true);
+		expect(keydown(33)).toEqual(true);
+	});
+
+	it("leaves G and H to the page when no captions are shown", function() {
+		createPlayer({}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles">');
+
+		expect(keydown(71)).toEqual(true);
+		expect(player.captionOffset).toEqual(0);
+
+		player.tracks[0].isLoaded = true;
+		player.tracks[0].entries = {text: [], times: []};
+		player.setTrack('en');
+
+		expect(keydown(72)).toEqual(false);
+		expect(player.captionOffset).toEqual(0.1);
+	});
+
+	it("ignores caption delay changes without a captions UI", function() {
+		createPlayer({}, ' ');
+
+		expect(player.captionsButton).toEqual(undefined);
+
+		player.setCaptionOffset(0.5);
+
+		expect(player.captionOffset).toEqual(0);
+	});
+
+	it("leaves captions off by default unless the page opts in", function() {
+		createPlayer({}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles" default>');
+
+		expect(player.captionStartLanguage).toEqual('');
+
+		player.options.captionSelection = 'default';
+
+		expect(player.chooseCaptionLanguage()).toEqual('en');
+	});
+
+	it("does not build the captions UI without <track> elements unless native tracks are asked for", function() {
+		createPlayer({}, ' ');
+
+		expect(player.controls.find('.mejs-captions-button').length).toEqual(0);
+	});
+
+	it("offers caption downloads only when the page asks for them", function() {
+		createPlayer({}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles">');
+
+		expect(player.captionsButton.find('.mejs-captions-download').length).toEqual(0);
+
+		player.remove();
+		$('#tracks-player').remove();
+		createPlayer({captionDownloadFormats: ['srt']}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles">');
+
+		expect(player.captionsButton.find('.mejs-captions-download-button').attr('data-format')).toEqual('srt');
+	});
+
+	it("adds the secondary track selector only when the page asks for it", function() {
+		var tracks = '<track src="../media/en.vtt" srclang="en" kind="subtitles"><track src="../media/ja.vtt" srclang="ja" kind="subtitles">';
+
+		createPlayer({}, tracks);
+
+		expect(player.captionsButton.find('.mejs-captions-secondary-selector').length).toEqual(0);
+
+		player.remove();
+		$('#tracks-player').remove();
+		createPlayer({enableSecondaryTrack: true}, tracks);
+
+		expect(player.captionsButton.find('.mejs-captions-secondary-selector').length).toEqual(1);
+	});
+
+	it("applies the caption style picked in the settings panel", function() {
+		var changes = [];
+
+		createPlayer({captionStyleStorageKey: ''}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles">');
+		player.container.on('captionstylechange', function(e, style) {
+			changes.push(style.color);
+		});
+
+		player.captionSettings.find('select[data-field="color"]').val('yellow').change();
+		player.setCaptionStyle({edgeStyle: 'outline', fontSize: '1000'});
+
+		expect(player.captionStyle.color).toEqual('yellow');
+		expect(player.captionStyle.edgeStyle).toEqual('outline');
+		expect(player.captionStyle.fontSize).toEqual('');
+		expect(player.captionSettings.find('select[data-field="edgeStyle"]').val()).toEqual('outline');
+		expect(player.captionSettings.children('style').text()).toContain('#' + player.id + ' .mejs-captions-text { color: rgba(255,255,0,1); text-shadow: ');
+		expect(changes).toEqual(['yellow', 'yellow']);
+	});
+
+	it("remembers the caption style of the viewer over the page defaults", function() {
+		var key = 'mejs.captionStyle.spec';
+
+		window.localStorage.removeItem(key);
+		createPlayer({captionStyleStorageKey: key, captionStyle: {fontSize: '150', color: 'cyan'}}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles">');
+
+		expect(player.captionStyle.fontSize).toEqual('150');
+
+		player.setCaptionStyle({color: 'green'});
+
+		expect(JSON.parse(window.localStorage.getItem(key)).color).toEqual('green');
+
+		player.remove();
+		$('#tracks-player').remove();
+		createPlayer({captionStyleStorageKey: key, captionStyle: {fontSize: '75', color: 'cyan'}}, '<track src="../media/captions.vtt" srclang="en" kind="subtitles">');
+
+		expect(player.captionStyle.color).toEqual('green');
+		expect(player.captionStyle.fontSize).toEqual('150');
+		expect(player.captionSettings.find('select[data-field="color"]').val()).toEqual('green');
+
+		player.captionSettings.find('.mejs-captions-settings-reset').click();
+
+		expect(window.localStorage.getItem(key)).toEqual(null);
+		expect(player.captionStyle.color).toEqual('cyan');
+		expect(player.captionStyle.fontSize).toEqual('75');
+	});
+
+	it("fires cues scheduled with addCue once when playback crosses them", function() {
+		var fired = [];
+
+		createPlayer({}, ' ');
+		Object.defineProperty(player.media, 'currentTime', {value: 0, writable: true, configurable: true});
+
+		player.updateCues(true);
+		player.addCue(2, function(media, time) {
+			fired.push(time);
+		});
+
+		player.media.currentTime = 1;
+		player.updateCues(false);
+		player.media.currentTime = 2.05;
+		player.updateCues(false);
+		player.media.currentTime = 3;
+		player.updateCues(false);
+
+		expect(fired).toEqual([2.05]);
+	});
+
+	it("searches the loaded tracks ignoring case and accents", function() {
+		createPlayer({}, '<track src="../media/fr.vtt" srclang="fr" kind="subtitles">');
+
+		player.tracks[0].entries = {text: ['Un <b>café</b> au lait', 'Du thé'], times: [{start: 1, stop: 2}, {start: 3, stop: 4}]};
+		player.tracks[0].isLoaded = true;
+
+		var results = player.searchTracks('CAFE');
+
+		expect(results.length).toEqual(1);
+		expect(results[0].start).toEqual(1);
+		expect(results[0].snippet).toContain('<mark>café</mark>');
+	});
+
+	it("passes metadata cues to the page through cueenter and cueexit", function() {
+		var events = [];
+
+		createPlayer({metadataCueJSON: true}, '<track src="../media/metadata.vtt" kind="metadata">');
+		Object.defineProperty(player.media, 'currentTime', {value: 0, writable: true, configurable: true});
+
+		player.container.on('cueenter cueexit', function(e, cue) {
+			events.push(e.type + ' ' + cue.data.slide);
+		});
+
+		player.tracks[0].entries = {text: ['{"slide": 3}'], times: [{identifier: 'a', start: 1, stop: 2}]};
+		player.tracks[0].isLoaded = true;
+		player.setupMetadataTrack(player.tracks[0]);
+
+		player.media.currentTime = 1.5;
+		player.updateMetadataCues();
+		player.media.currentTime = 2.5;
+		player.updateMetadataCues();
+
+		expect(events).toEqual(['cueenter 3', 'cueexit 3']);
+	});
+
+	it("picks the starting captions from the viewer's languages", function() {
+		createPlayer({captionSelection: 'always', captionLanguages: ['pt-BR', 'en']},
+			'<track src="../media/en.vtt" srclang="en" kind="subtitles"><track src="../media/pt.vtt" srclang="pt-PT" kind="captions">');
+
+		expect(player.chooseCaptionLanguage()).toEqual('pt-pt');
+
+		player.options.captionSelection = 'foreign';
+		player.options.mediaLanguage = 'pt';
+
+		expect(player.chooseCaptionLanguage()).toEqual('');
+	});
+});
+
+describe("MediaElementPlayer slides", function() {
+	var
+		player,
+		manifest = '{"slides": [' +
+			'{"start": "00:01:00", "image": "b.png", "title": "Second"},' +
+			'{"start": 0, "end": 20, "image": "a.png", "thumbnail": "a-small.png", "title": "First <i>", "notes": "Hello"}' +
+		']}';
+
+	function trigger(media, type) {
+		var e = document.createEvent('HTMLEvents');
+		e.initEvent(type, false, false);
+		media.dispatchEvent(e);
+	}
+
+	function createPlayer(files) {
+		jasmine.Clock.useMock();
+		spyOn(mejs.$, 'ajax').andCallFake(function(settings) {
+			setTimeout(function() {
+				settings.success(files[settings.url]);
+			}, 1);
+		});
+
+		$('body').prepend('<div id="tracks-slides"></div>');
+		$('body').prepend('<video width="640" height="360" id="tracks-player">' +
+			'<source type="video/mp4" src="../media/echo-hereweare.mp4" ></source>' +
+			'<track src="slides.json" srclang="en" kind="slides">' +
+			'<track src="captions.vtt" srclang="fr" kind="subtitles">' +
+			'</video>');
+		player = new MediaElementPlayer('#tracks-player', {enableAutosize: false, features: ['tracks'], slidesSelector: '#tracks-slides'});
+		Object.defineProperty(player.media, 'currentTime', {value: 0, writable: true, configurable: true});
+		jasmine.Clock.tick(1);
+		jasmine.Clock.tick(1);
+	}
+
+	afterEach(function() {
+		player.remove();
+		$('#tracks-player, #tracks-slides').remove();
+		player = null;
+	});
+
+	it("reads the slides of a JSON manifest in time order", function() {
+		createPlayer({'slides.json': manifest, 'captions.vtt': 'WEBVTT\n'});
+
+		var slides = player.parseSlides(player.tracks[0], manifest);
+
+		expect(slides.length).toEqual(2);
+		expect(slides[0]).toEqual({start: 0, stop: 20, image: 'a.png', thumbnail: 'a-small.png', title: 'First <i>', notes: 'Hello'});
+		expect(slides[1].start).toEqual(60);
+		expect(slides[1].stop).toEqual(Infinity);
+		expect(player.tracks[0].entries.text).toEqual(['First &lt;i>', 'Second']);
+		expect(player.slidesStrip.find('.mejs-slides-thumb').length).toEqual(2);
+	});
+
+	it("reads the slides of a cue track", function() {
+		createPlayer({'slides.json': manifest, 'captions.vtt': 'WEBVTT\n'});
+
+		var track = {kind: 'slides', entries: mejs.TrackFormatParser.parse('WEBVTT\n\n00:00:00.000 --> 00:00:30.000\nintro.png\nIntro\nNotes\n')};
+
+		expect(player.parseSlides(track, '')).toEqual([{start: 0.2, stop: 30, image: 'intro.png', thumbnail: '', title: 'Intro', notes: 'Notes'}]);
+	});
+
+	it("switches the slide as the media plays", function() {
+		var changes = [];
+
+		createPlayer({'slides.json': manifest, 'captions.vtt': 'WEBVTT\n'});
+		player.container.on('slidechange', function(e, index, slide) {
+			changes.push(index + ' ' + slide.title);
+		});
+
+		expect(player.slideIndex).toEqual(0);
+		expect(player.slidesNotes.text()).toEqual('Hello');
+
+		player.media.currentTime = 30;
+		trigger(player.media, 'timeupdate');
+
+		expect(player.slideIndex).toEqual(0);
+
+		player.media.currentTime = 75;
+		trigger(player.media, 'timeupdate');
+
+		expect(player.slideIndex).toEqual(1);
+		expect(player.slidesTitle.text()).toEqual('Second');
+		expect(player.slidesStrip.find('.mejs-slides-thumb-active').attr('data-index')).toEqual('1');
+		expect(changes).toEqual(['1 Second']);
+	});
+
+	it("drops a malformed manifest and loads the next track", function() {
+		createPlayer({'slides.json': '{"slides": [null]}', 'captions.vtt': 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nBonjour\n'});
+
+		expect(player.slides).toEqual(null);
+		expect(player.tracks.length).toEqual(1);
+		expect(player.tracks[0].kind).toEqual('subtitles');
+		expect(player.tracks[0].isLoaded).toEqual(true);
+	});
+});
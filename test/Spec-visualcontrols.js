@@ -0,0 +1,69 @@
+describe("MediaElementPlayer visual controls", function() {
+	var player;
+
+	function createPlayer(options, tag) {
+		tag = tag || 'video';
+		$('body').prepend('<' + tag + ' width="640" height="360" id="visualcontrols-player">' +
+			'<source type="' + tag + '/mp4" src="../media/echo-hereweare.mp4" ></source>' +
+			'</' + tag + '>');
+		player = new MediaElementPlayer('#visualcontrols-player', $.extend({enableAutosize: false, features: ['visualcontrols']}, options));
+	}
+
+	function filter() {
+		return player.container.find('.mejs-mediaelement')[0].style.filter;
+	}
+
+	afterEach(function() {
+		player.remove();
+		$('#visualcontrols-player').remove();
+		player = null;
+	});
+
+	it("keeps the adjustments within the range of each filter", function() {
+		createPlayer();
+
+		player.setVisualFilter({brightness: 500, hueRotate: -400, grayscale: NaN});
+
+		expect(player.visualFilter.brightness).toEqual(200);
+		expect(player.visualFilter.hueRotate).toEqual(-180);
+		expect(player.visualFilter.grayscale).toEqual(0);
+		expect(player.visualcontrolsButton.find('input[data-filter="brightness"]').val()).toEqual('200');
+	});
+
+	it("leaves neutral values out of the CSS filter", function() {
+		createPlayer({visualFilter: {contrast: 130}});
+
+		expect(filter()).toEqual('contrast(130%)');
+
+		player.setVisualFilter({contrast: 100, hueRotate: 90});
+
+		expect(filter()).toEqual('hue-rotate(90deg)');
+		expect(player.visualcontrolsButton.hasClass('mejs-visualcontrols-active')).toEqual(true);
+	});
+
+	it("resets every adjustment", function() {
+		createPlayer({visualFilter: {saturation: 0, grayscale: 50}});
+
+		player.visualcontrolsButton.find('.mejs-visualcontrols-reset').click();
+
+		expect(player.visualFilter).toEqual({brightness: 100, contrast: 100, saturation: 100, hueRotate: 0, grayscale: 0});
+		expect(filter()).toEqual('');
+		expect(player.visualcontrolsButton.hasClass('mejs-visualcontrols-active')).toEqual(false);
+	});
+
+	it("builds no controls for audio", function() {
+		createPlayer({}, 'audio');
+
+		expect(player.visualcontrolsButton).toEqual(undefined);
+		expect(player.controls.find('.mejs-visualcontrols-button').length).toEqual(0);
+	});
+
+	it("builds no controls for plugin media", function() {
+		createPlayer({features: []});
+
+		player.buildvisualcontrols(player, player.controls, player.layers, {pluginType: 'flash'});
+
+		expect(player.visualcontrolsButton).toEqual(undefined);
+		expect(player.controls.find('.mejs-visualcontrols-button').length).toEqual(0);
+	});
+});